@@ -0,0 +1,7 @@
+require('dotenv').config();
+
+const { createApp } = require('../app');
+
+// Vercel 서버리스 함수 - 모든 /api/* 요청을 server.js와 같은 앱으로 처리
+// (DB 연결은 요청 시 config/database.js의 캐시된 연결을 재사용)
+module.exports = createApp();
@@ -0,0 +1,211 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const path = require('path');
+
+const { connectDB } = require('./config/database');
+const { getAllowedOrigins } = require('./config/cors');
+const { initializeDefaultCategories } = require('./models/Category');
+const { initializeDefaultData } = require('./models/Portfolio');
+const { initializeDefaultAdmin } = require('./models/User');
+const portfolioRoutes = require('./routes/portfolio');
+const categoryRoutes = require('./routes/categories');
+const authRoutes = require('./routes/auth');
+const contactRoutes = require('./routes/contact');
+const inquiryRoutes = require('./routes/inquiries');
+const mailRoutes = require('./routes/mail');
+const auditRoutes = require('./routes/audit');
+const pageRoutes = require('./routes/pages');
+const feedRoutes = require('./routes/feeds');
+
+// DB 연결 및 기본 데이터 초기화 - 프로세스(서버리스 인스턴스)당 한 번만 실행
+let readyPromise = null;
+
+const prepare = () => {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      await connectDB();
+      // 기본 포트폴리오가 카테고리를 참조하므로 카테고리 먼저 생성
+      await initializeDefaultCategories();
+      await initializeDefaultData();
+      await initializeDefaultAdmin();
+    })().catch((error) => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  return readyPromise;
+};
+
+// API 요청 전에 DB 준비 보장
+const ensureReady = async (req, res, next) => {
+  try {
+    await prepare();
+    await connectDB();
+    next();
+  } catch (error) {
+    console.error('데이터베이스 준비 실패:', error);
+    res.status(503).json({
+      success: false,
+      error: '데이터베이스에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.'
+    });
+  }
+};
+
+// 서버 렌더링 페이지 전에 DB 준비 - 실패하면 페이지에서 안내하도록 오류만 전달
+const preparePage = async (req, res, next) => {
+  try {
+    await prepare();
+    await connectDB();
+  } catch (error) {
+    console.error('데이터베이스 준비 실패:', error);
+    req.databaseError = error;
+  }
+  next();
+};
+
+// Express 앱 생성 - server.js와 Vercel 서버리스 함수가 함께 사용
+const createApp = () => {
+  const app = express();
+
+  // 프록시(Vercel 등) 뒤에서 실제 클라이언트 IP 사용
+  if (process.env.TRUST_PROXY || process.env.VERCEL) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || 1);
+  }
+
+  // 보안 미들웨어 - CDN 허용을 위한 CSP 설정
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.tailwindcss.com", "https://fonts.googleapis.com"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'"],
+        objectSrc: ["'none'"],
+        mediaSrc: ["'self'"],
+        frameSrc: ["'self'", "https://www.youtube-nocookie.com"]
+      }
+    }
+  }));
+
+  // Rate limiting - 공개 조회(포트폴리오 목록/검색/상세/이미지, 카테고리)는 별도 한도
+  // 메인 페이지의 조회 요청이 문의 폼 제출 등 나머지 API의 한도를 소진하지 않도록 분리
+  // 휴지통, 리비전, 통계, 스케줄/정리 작업 등 관리 API는 일반 한도 적용
+  const PUBLIC_READ_PATHS = [
+    /^\/portfolio\/?$/,
+    /^\/portfolio\/search\/suggest\/?$/,
+    /^\/portfolio\/image\/[^/]+\/?$/,
+    /^\/portfolio\/(?!trash\/?$)[^/]+\/?$/,
+    /^\/categories(\/[^/]+)?\/?$/
+  ];
+  const isPublicRead = (req) => req.method === 'GET' && PUBLIC_READ_PATHS.some(pattern => pattern.test(req.path));
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15분
+    max: 100, // 최대 100 요청
+    skip: isPublicRead,
+    message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.'
+  });
+  const readLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15분
+    max: 1000, // 최대 1000 요청
+    skip: (req) => !isPublicRead(req),
+    message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.'
+  });
+  app.use('/api/', readLimiter, limiter);
+
+  // CORS 설정 - ALLOWED_ORIGINS(쉼표 구분)로 추가 도메인 허용
+  app.use(cors({
+    origin: getAllowedOrigins(),
+    credentials: true,
+    // 동시 수정 확인용 버전 헤더
+    exposedHeaders: ['ETag']
+  }));
+
+  // JSON 파싱 미들웨어
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // 정적 파일 서빙
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // API 라우트
+  app.use('/api/send-email', contactRoutes);
+  app.use('/api/auth', ensureReady, authRoutes);
+  app.use('/api/portfolio', ensureReady, portfolioRoutes);
+  app.use('/api/categories', ensureReady, categoryRoutes);
+  app.use('/api/admin/inquiries', ensureReady, inquiryRoutes);
+  app.use('/api/admin/mail', ensureReady, mailRoutes);
+  app.use('/api/admin/audit', ensureReady, auditRoutes);
+
+  // 서버 렌더링 페이지 - 메인(포트폴리오 그리드), 프로젝트별 페이지, 사이트맵과 피드
+  app.get(['/', '/projects/:slug', '/sitemap.xml', '/feed.xml', '/feed.atom', '/feed.json'], preparePage);
+  app.use(pageRoutes);
+  app.use(feedRoutes);
+
+  // API 정보 라우트
+  app.get('/api', (req, res) => {
+    res.json({
+      message: 'FORNERDS 포트폴리오 API 서버',
+      version: '1.0.0',
+      endpoints: {
+        'GET /api/portfolio': '모든 포트폴리오 조회',
+        'GET /api/portfolio/search/suggest': '검색어 자동완성',
+        'GET /api/portfolio/:id': '특정 포트폴리오 조회',
+        'POST /api/portfolio': '새 포트폴리오 생성',
+        'PUT /api/portfolio/:id': '포트폴리오 수정',
+        'DELETE /api/portfolio/:id': '포트폴리오 삭제 (휴지통)',
+        'GET /api/portfolio/trash': '휴지통 조회',
+        'POST /api/portfolio/trash/:id/restore': '휴지통에서 복원',
+        'DELETE /api/portfolio/trash/:id': '영구 삭제',
+        'POST /api/portfolio/:id/like': '좋아요',
+        'POST /api/portfolio/:id/media': '갤러리 미디어 추가',
+        'PUT /api/portfolio/:id/media/order': '갤러리 순서 변경',
+        'GET /api/portfolio/:id/revisions': '변경 기록 조회',
+        'POST /api/portfolio/:id/revisions/:number/restore': '리비전 복원',
+        'GET /api/portfolio/image/:fileId': '이미지 조회',
+        'GET /api/portfolio/stats/summary': '통계 조회',
+        'POST /api/portfolio/schedule/process': '예약 게시 처리',
+        'GET /api/categories': '카테고리 목록 조회',
+        'POST /api/categories': '카테고리 생성',
+        'PUT /api/categories/order': '카테고리 순서 변경',
+        'PUT /api/categories/:id': '카테고리 수정 (이름 변경 시 포트폴리오 함께 변경)',
+        'POST /api/categories/:id/merge': '카테고리 병합',
+        'DELETE /api/categories/:id': '카테고리 삭제',
+        'POST /api/auth/login': '관리자 로그인',
+        'GET /api/auth/me': '로그인 사용자 정보',
+        'POST /api/send-email': '문의 저장 및 메일 발송',
+        'GET /api/admin/inquiries': '문의함 조회 (관리자)',
+        'GET /api/admin/mail': '메일 outbox 조회 (관리자)',
+        'GET /api/admin/audit': '감사 로그 조회 (관리자)',
+        'GET /api/admin/audit/export': '감사 로그 CSV 내보내기 (관리자)'
+      }
+    });
+  });
+
+  // 404 에러 핸들러
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: '요청한 엔드포인트를 찾을 수 없습니다.',
+      path: req.originalUrl
+    });
+  });
+
+  // 에러 핸들러
+  app.use((err, req, res, next) => {
+    console.error('Error:', err.stack);
+    res.status(500).json({
+      error: '서버 내부 오류가 발생했습니다.',
+      message: process.env.NODE_ENV === 'development' ? err.message : '서버 오류'
+    });
+  });
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  prepare
+};
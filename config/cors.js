@@ -0,0 +1,17 @@
+// CORS 허용 도메인 - ALLOWED_ORIGINS(쉼표 구분)로 지정, 미설정 시 로컬 개발 도메인
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:5500', 'http://localhost:5500'];
+
+const getAllowedOrigins = () => {
+  const origins = process.env.ALLOWED_ORIGINS ?
+    process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) :
+    DEFAULT_ORIGINS.slice();
+
+  if (process.env.SITE_URL) {
+    origins.push(new URL(process.env.SITE_URL).origin);
+  }
+  return origins;
+};
+
+module.exports = {
+  getAllowedOrigins
+};
@@ -1,29 +1,42 @@
 const mongoose = require('mongoose');
-const { GridFSBucket } = require('mongodb');
 
-let gridfsBucket;
+// 서버리스 환경에서는 모듈이 다시 로드될 수 있으므로 연결을 전역에 캐시
+const cached = global.__fornerdsMongo || (global.__fornerdsMongo = { conn: null, promise: null });
 
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fornerds-portfolio');
+const getMongoUri = () => {
+  if (process.env.MONGODB_URI) return process.env.MONGODB_URI;
+  if (process.env.VERCEL) {
+    throw new Error('MONGODB_URI 환경변수가 설정되지 않았습니다.');
+  }
+  return 'mongodb://localhost:27017/fornerds-portfolio';
+};
 
-    console.log(`MongoDB 연결됨: ${conn.connection.host}`);
+// MongoDB 연결 - 진행 중인 연결이 있으면 같은 Promise를 재사용
+const connectDB = async () => {
+  if (cached.conn && mongoose.connection.readyState === 1) {
+    return cached.conn;
+  }
 
-    // GridFS 초기화
-    gridfsBucket = new GridFSBucket(conn.connection.db, {
-      bucketName: 'portfolio_images'
+  if (!cached.promise) {
+    cached.promise = mongoose.connect(getMongoUri(), {
+      bufferCommands: false,
+      maxPoolSize: process.env.VERCEL ? 5 : 10,
+      serverSelectionTimeoutMS: 10000
+    }).then((conn) => {
+      console.log(`MongoDB 연결됨: ${conn.connection.host}`);
+      return conn;
+    }).catch((error) => {
+      // 실패한 연결은 캐시하지 않고 다음 요청에서 다시 시도
+      cached.promise = null;
+      console.error('MongoDB 연결 오류:', error);
+      throw error;
     });
-
-    return conn;
-  } catch (error) {
-    console.error('MongoDB 연결 오류:', error);
-    process.exit(1);
   }
-};
 
-const getGridFSBucket = () => gridfsBucket;
+  cached.conn = await cached.promise;
+  return cached.conn;
+};
 
 module.exports = {
-  connectDB,
-  getGridFSBucket
-}; 
\ No newline at end of file
+  connectDB
+};
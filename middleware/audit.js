@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { AuditEvent } = require('../models/AuditEvent');
+
+// 기록에서 제외하는 필드
+const OMITTED_FIELDS = ['searchTokens', 'searchVersion', 'passwordHash', '__v'];
+// 비교에서 제외하는 필드 (자동으로 바뀌는 값)
+const IGNORED_CHANGES = ['updatedAt', 'version', 'views', 'likes'];
+
+// 문서를 저장 가능한 일반 객체로 변환 (큰 Base64 데이터는 크기만 기록)
+const sanitize = (value) => {
+  if (!value) return null;
+
+  const plain = typeof value.toJSON === 'function' ? value.toJSON() : value;
+  const result = JSON.parse(JSON.stringify(plain));
+  if (!result || typeof result !== 'object') return result;
+
+  OMITTED_FIELDS.forEach(field => { delete result[field]; });
+  if (typeof result.imageBase64 === 'string' && result.imageBase64.length > 200) {
+    result.imageBase64 = `Base64 이미지 (${Math.round(result.imageBase64.length * 3 / 4 / 1024)}KB)`;
+  }
+  if (typeof result.imageUrl === 'string' && result.imageUrl.startsWith('data:')) {
+    delete result.imageUrl;
+  }
+  return result;
+};
+
+// 변경 전/후 최상위 필드 비교
+const getChangedFields = (before, after) => {
+  if (!before || !after) return [];
+
+  const fields = new Set(Object.keys(before).concat(Object.keys(after)));
+  return Array.from(fields).filter(field => {
+    if (IGNORED_CHANGES.includes(field)) return false;
+    return JSON.stringify(before[field]) !== JSON.stringify(after[field]);
+  });
+};
+
+const getActor = (req) => {
+  if (req.user) {
+    return { actor: req.user._id, actorEmail: req.user.email, actorType: 'user' };
+  }
+  if (req.cron) {
+    return { actor: null, actorEmail: '', actorType: 'cron' };
+  }
+  return {
+    actor: null,
+    // 로그인 시도 등 요청 본문의 이메일
+    actorEmail: req.body && typeof req.body.email === 'string' ? req.body.email.slice(0, 200) : '',
+    actorType: 'anonymous'
+  };
+};
+
+// 변경 요청 감사 로그 미들웨어
+// options.target: 대상 종류, options.load(id): 변경 전/후 상태 조회
+// options.targetId(req): 대상 ID (기본 req.params.id), 생성 요청은 응답의 data.id 사용
+// 응답을 보내기 전에 기록하여 서버리스 환경에서도 유실되지 않도록 함
+const audit = (action, options = {}) => {
+  const { target = '', load = null } = options;
+  const getTargetId = options.targetId || ((req) => req.params.id);
+
+  return async (req, res, next) => {
+    let targetId = getTargetId(req) || '';
+    let before = null;
+
+    if (load && targetId && mongoose.Types.ObjectId.isValid(targetId)) {
+      try {
+        before = sanitize(await load(targetId));
+      } catch (error) {
+        console.error('감사 로그 이전 상태 조회 오류:', error.message);
+      }
+    }
+
+    const originalJson = res.json.bind(res);
+    let recorded = false;
+
+    res.json = async (body) => {
+      if (recorded) return originalJson(body);
+      recorded = true;
+
+      try {
+        const success = res.statusCode < 400 && !(body && body.success === false);
+        const data = body && body.data;
+        if (!targetId) {
+          targetId = res.locals.auditTargetId || (data && (data.id || data._id)) || '';
+        }
+
+        let after = null;
+        if (success) {
+          if (load && targetId && mongoose.Types.ObjectId.isValid(String(targetId))) {
+            after = sanitize(await load(String(targetId)));
+          } else if (!load && data) {
+            after = sanitize(data);
+          }
+        }
+
+        await AuditEvent.create(Object.assign(getActor(req), {
+          ip: req.ip,
+          userAgent: req.get('user-agent') || '',
+          action,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          success,
+          targetType: target,
+          targetId: targetId ? String(targetId) : '',
+          changedFields: getChangedFields(before, after),
+          before,
+          after
+        }));
+      } catch (error) {
+        // 감사 로그 기록 실패로 요청이 실패하지 않도록 로그만 남김
+        console.error('감사 로그 기록 오류:', error.message);
+      }
+
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+// 요청 하나로 여러 대상이 바뀐 경우(카테고리 이름 변경 등) 대상별 감사 로그 기록
+const recordAuditEvent = async (req, fields) => {
+  try {
+    await AuditEvent.create(Object.assign(getActor(req), {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || '',
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      success: true
+    }, fields));
+  } catch (error) {
+    console.error('감사 로그 기록 오류:', error.message);
+  }
+};
+
+module.exports = {
+  audit,
+  recordAuditEvent,
+  sanitize
+};
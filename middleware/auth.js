@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models/User');
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+// JWT 서명 키 - 로컬에서 미설정 시 프로세스별 임시 키 사용 (재시작하면 로그인 만료)
+// 서버리스 환경에서는 인스턴스마다 키가 달라지므로 필수
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  if (process.env.VERCEL) {
+    throw new Error('JWT_SECRET 환경변수가 설정되지 않았습니다.');
+  }
+  console.warn('JWT_SECRET 환경변수가 설정되지 않았습니다. 임시 키를 사용합니다.');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// 로그인 토큰 발급
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: String(user._id), role: user.role },
+    jwtSecret,
+    { expiresIn: TOKEN_EXPIRES_IN }
+  );
+};
+
+// Authorization 헤더에서 Bearer 토큰 추출
+const extractToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+  return null;
+};
+
+// 토큰 검증 후 활성 사용자 조회 (역할 변경/비활성화가 즉시 반영되도록 DB에서 확인)
+const resolveUser = async (token) => {
+  const payload = jwt.verify(token, jwtSecret);
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active) return null;
+  return user;
+};
+
+// 인증 필수 미들웨어
+const requireAuth = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: '로그인이 필요합니다.'
+    });
+  }
+
+  try {
+    const user = await resolveUser(token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: '유효하지 않은 계정입니다.'
+      });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        error: '로그인이 만료되었습니다. 다시 로그인해주세요.'
+      });
+    }
+    next(error);
+  }
+};
+
+// 역할 확인 미들웨어 - requireAuth 이후에 사용
+const requireRole = (role) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.hasRole(role)) {
+      return res.status(403).json({
+        success: false,
+        error: '이 작업을 수행할 권한이 없습니다.'
+      });
+    }
+    next();
+  };
+};
+
+// 인증 + 역할 확인을 한 번에 적용
+const authorize = (role) => [requireAuth, requireRole(role)];
+
+// 타이밍 공격을 피하기 위한 문자열 비교
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// 예약 작업(Vercel Cron 등) 또는 지정 역할 이상의 관리자만 허용
+// CRON_SECRET이 설정된 경우 `Authorization: Bearer <CRON_SECRET>` 요청은 로그인 없이 통과
+const authorizeOrCron = (role) => {
+  const [authenticate, checkRole] = authorize(role);
+  return (req, res, next) => {
+    const token = extractToken(req);
+    if (process.env.CRON_SECRET && token && safeEqual(token, process.env.CRON_SECRET)) {
+      req.cron = true;
+      return next();
+    }
+    authenticate(req, res, (error) => {
+      if (error) return next(error);
+      checkRole(req, res, next);
+    });
+  };
+};
+
+// 선택 인증 미들웨어 - 토큰이 있으면 사용자 정보를 붙이고, 없거나 잘못되면 익명으로 진행
+const optionalAuth = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) return next();
+
+  try {
+    const user = await resolveUser(token);
+    if (user) req.user = user;
+  } catch (error) {
+    // 익명 요청으로 처리
+  }
+  next();
+};
+
+module.exports = {
+  signToken,
+  requireAuth,
+  requireRole,
+  authorize,
+  authorizeOrCron,
+  optionalAuth
+};
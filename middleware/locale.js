@@ -0,0 +1,28 @@
+const { LOCALES, DEFAULT_LOCALE, resolveLocale } = require('../services/i18n');
+
+// 응답 언어 결정 미들웨어 - ?lang= 우선, 없으면 Accept-Language, 둘 다 없으면 기본 언어(ko)
+// 결정한 언어는 req.locale, 지원하지 않는 lang 값은 400
+const negotiateLocale = (req, res, next) => {
+  let locale;
+
+  if (req.query.lang !== undefined) {
+    locale = resolveLocale(req.query.lang);
+    if (!locale) {
+      return res.status(400).json({
+        success: false,
+        error: `지원하지 않는 언어입니다. (${LOCALES.join(', ')})`
+      });
+    }
+  } else {
+    locale = req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+  }
+
+  req.locale = locale;
+  res.vary('Accept-Language');
+  res.set('Content-Language', locale);
+  next();
+};
+
+module.exports = {
+  negotiateLocale
+};
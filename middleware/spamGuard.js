@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { connectDB } = require('../config/database');
+const { getAllowedOrigins } = require('../config/cors');
+const { Inquiry } = require('../models/Inquiry');
+const { Category, getProjectTypes } = require('../models/Category');
+const { RejectedSubmission } = require('../models/RejectedSubmission');
+const { getCaptchaVerifier, extractCaptchaToken } = require('../services/captcha');
+
+const MIN_FILL_MS = parseInt(process.env.CONTACT_MIN_FILL_MS) || 3000; // 3초
+const MAX_TOKEN_AGE_MS = 2 * 60 * 60 * 1000; // 2시간
+const IP_LIMIT = parseInt(process.env.CONTACT_IP_LIMIT) || 5;
+const IP_WINDOW_MS = 60 * 60 * 1000; // 1시간
+const EMAIL_LIMIT = parseInt(process.env.CONTACT_EMAIL_LIMIT) || 3;
+const EMAIL_WINDOW_MS = 24 * 60 * 60 * 1000; // 24시간
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000; // 24시간
+const MAX_LINKS = 3;
+
+// 허니팟 필드 - 사람에게는 보이지 않으므로 값이 있으면 봇
+const HONEYPOT_FIELD = 'website';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^[0-9+\-\s().]+$/;
+
+// 폼 토큰 서명 키 - 서버리스 환경에서는 토큰 발급과 제출이 다른 인스턴스에서 처리될 수 있으므로 필수
+let tokenSecret = process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET;
+if (!tokenSecret) {
+  if (process.env.VERCEL) {
+    throw new Error('FORM_TOKEN_SECRET 또는 JWT_SECRET 환경변수가 설정되지 않았습니다.');
+  }
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+};
+
+// 폼 작성 시작 시각을 담은 토큰 발급
+const issueFormToken = () => {
+  const payload = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+// 토큰 검증 - 작성 경과 시간(ms) 반환, 유효하지 않으면 null
+const verifyFormToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const payload = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const elapsed = Date.now() - parseInt(parts[0]);
+  if (!(elapsed >= 0) || elapsed > MAX_TOKEN_AGE_MS) return null;
+  return elapsed;
+};
+
+// 토큰 식별자 (발급 시 난수) - 접수된 문의에 저장하여 같은 토큰의 재사용을 막음
+const getFormTokenId = (token) => String(token || '').split('.')[1] || '';
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// 서버 측 입력값 검증 - 오류 메시지 배열 반환
+// projectTypes: 선택할 수 있는 프로젝트 유형 (카테고리에 지정된 유형과 '기타')
+const validateContactForm = (body, projectTypes) => {
+  const errors = [];
+  const company = asText(body.company);
+  const name = asText(body.name);
+  const phone = asText(body.phone);
+  const email = asText(body.email);
+  const projectType = asText(body.project_type);
+  const message = asText(body.message);
+
+  if (!company) errors.push('회사명은 필수 항목입니다.');
+  else if (company.length > 200) errors.push('회사명은 200자를 초과할 수 없습니다.');
+
+  if (!name) errors.push('담당자명은 필수 항목입니다.');
+  else if (name.length > 100) errors.push('담당자명은 100자를 초과할 수 없습니다.');
+
+  const phoneDigits = phone.replace(/\D/g, '');
+  if (!phone) errors.push('연락처는 필수 항목입니다.');
+  else if (!PHONE_PATTERN.test(phone) || phoneDigits.length < 9 || phoneDigits.length > 15) {
+    errors.push('올바른 연락처 형식이 아닙니다.');
+  }
+
+  if (!email) errors.push('이메일은 필수 항목입니다.');
+  else if (email.length > 200 || !EMAIL_PATTERN.test(email)) errors.push('올바른 이메일 형식이 아닙니다.');
+
+  if (!projectTypes.includes(projectType)) errors.push('유효하지 않은 프로젝트 유형입니다.');
+
+  if (message.length < 10) errors.push('프로젝트 설명은 10자 이상 입력해주세요.');
+  else if (message.length > 5000) errors.push('프로젝트 설명은 5000자를 초과할 수 없습니다.');
+  else if ((message.match(/https?:\/\//gi) || []).length > MAX_LINKS) {
+    errors.push(`프로젝트 설명에는 링크를 ${MAX_LINKS}개까지만 포함할 수 있습니다.`);
+  }
+
+  return errors;
+};
+
+// 문의 폼의 프로젝트 유형 - DB 장애 시에도 문의는 받을 수 있도록 기본 카테고리의 유형 사용
+const loadProjectTypes = async () => {
+  try {
+    await connectDB();
+    return await Category.findProjectTypes();
+  } catch (error) {
+    console.error('프로젝트 유형 조회 오류:', error.message);
+    return getProjectTypes([]);
+  }
+};
+
+// 중복 확인용 메시지 해시 (공백/대소문자 정규화)
+const hashMessage = (message) => {
+  const normalized = asText(message).toLowerCase().replace(/\s+/g, ' ');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Origin 헤더가 있으면 같은 호스트 또는 허용 도메인인지 확인
+const isAllowedOrigin = (req) => {
+  const origin = req.get('origin');
+  if (!origin) return true;
+
+  try {
+    if (new URL(origin).host === req.get('host')) return true;
+  } catch (error) {
+    return false;
+  }
+  return getAllowedOrigins().includes(origin);
+};
+
+// 거부 기록 저장 (DB 장애 시 로그만 남김)
+const recordRejection = async (req, reason, details = []) => {
+  const body = req.body || {};
+  const payload = {};
+  ['company', 'name', 'phone', 'email', 'project_type', 'message', HONEYPOT_FIELD].forEach(field => {
+    if (body[field] !== undefined) payload[field] = String(body[field]).slice(0, 1000);
+  });
+
+  try {
+    await connectDB();
+    await RejectedSubmission.create({
+      reason,
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || '',
+      origin: req.get('origin') || '',
+      email: asText(body.email).toLowerCase().slice(0, 200),
+      payload
+    });
+  } catch (error) {
+    console.error('거부된 문의 기록 오류:', error.message);
+  }
+  console.warn(`문의 거부 (${reason}):`, req.ip, details.join(', '));
+};
+
+// 최근 제출 횟수/중복 확인 - 거부 사유 또는 null 반환
+const checkThrottles = async (req, messageHash) => {
+  const now = Date.now();
+  const email = asText(req.body.email).toLowerCase();
+
+  const [tokenUsed, ipCount, emailCount, duplicate] = await Promise.all([
+    Inquiry.exists({ formTokenId: req.formTokenId }),
+    Inquiry.countDocuments({ ip: req.ip, createdAt: { $gte: new Date(now - IP_WINDOW_MS) } }),
+    Inquiry.countDocuments({ email, createdAt: { $gte: new Date(now - EMAIL_WINDOW_MS) } }),
+    Inquiry.exists({
+      messageHash,
+      $or: [{ email }, { ip: req.ip }],
+      createdAt: { $gte: new Date(now - DUPLICATE_WINDOW_MS) }
+    })
+  ]);
+
+  if (tokenUsed) return 'token_reused';
+  if (duplicate) return 'duplicate';
+  if (ipCount >= IP_LIMIT) return 'ip_throttle';
+  if (emailCount >= EMAIL_LIMIT) return 'email_throttle';
+  return null;
+};
+
+const REJECTION_RESPONSES = {
+  validation: [400, '입력 데이터가 올바르지 않습니다.'],
+  token: [400, '페이지를 새로고침한 후 다시 시도해주세요.'],
+  token_reused: [400, '페이지를 새로고침한 후 다시 시도해주세요.'],
+  too_fast: [400, '잠시 후 다시 시도해주세요.'],
+  captcha: [400, '자동 입력 방지 확인에 실패했습니다.'],
+  origin: [403, '허용되지 않은 요청입니다.'],
+  ip_throttle: [429, '문의가 너무 많이 접수되었습니다. 잠시 후 다시 시도해주세요.'],
+  email_throttle: [429, '같은 이메일로 접수된 문의가 많습니다. 내일 다시 시도해주세요.'],
+  duplicate: [409, '이미 접수된 문의입니다.']
+};
+
+const CAPTCHA_UNAVAILABLE_MESSAGE = '문의 전송에 실패했습니다. 잠시 후 다시 시도해주세요.';
+
+// 문의 폼 스팸/남용 방지 미들웨어
+const guardContactForm = async (req, res, next) => {
+  const body = req.body || {};
+
+  const reject = async (reason, details = []) => {
+    await recordRejection(req, reason, details);
+
+    // 허니팟에 걸린 봇에게는 성공으로 응답하여 우회 시도를 줄임
+    if (reason === 'honeypot') {
+      return res.status(200).json({
+        success: true,
+        message: '문의가 성공적으로 전송되었습니다!'
+      });
+    }
+
+    const [status, message] = REJECTION_RESPONSES[reason];
+    res.status(status).json({
+      success: false,
+      message,
+      details: reason === 'validation' ? details : undefined
+    });
+  };
+
+  try {
+    if (!isAllowedOrigin(req)) return reject('origin', [req.get('origin')]);
+
+    if (asText(body[HONEYPOT_FIELD])) return reject('honeypot');
+
+    const elapsed = verifyFormToken(body.form_token);
+    if (elapsed === null) return reject('token');
+    if (elapsed < MIN_FILL_MS) return reject('too_fast', [`${elapsed}ms`]);
+    req.formTokenId = getFormTokenId(body.form_token);
+
+    const errors = validateContactForm(body, await loadProjectTypes());
+    if (errors.length > 0) return reject('validation', errors);
+
+    const verifier = getCaptchaVerifier();
+    if (verifier.enabled) {
+      const captchaToken = extractCaptchaToken(body);
+      let result = { success: false, errors: ['missing-input-response'] };
+      if (captchaToken) {
+        try {
+          result = await verifier.verify(captchaToken, req.ip);
+        } catch (error) {
+          // 캡차 서비스 장애는 제출자 잘못이 아니므로 거부 기록 없이 503
+          console.error('캡차 확인 오류:', error.message);
+          return res.status(503).json({
+            success: false,
+            message: CAPTCHA_UNAVAILABLE_MESSAGE
+          });
+        }
+      }
+      if (!result.success) return reject('captcha', result.errors || []);
+    }
+
+    const messageHash = hashMessage(body.message);
+    req.messageHash = messageHash;
+
+    // 제출 이력 확인은 DB가 필요 - 장애 시에도 문의는 받을 수 있도록 건너뜀
+    let throttleReason = null;
+    try {
+      await connectDB();
+      throttleReason = await checkThrottles(req, messageHash);
+    } catch (error) {
+      console.error('문의 제출 이력 확인 오류:', error.message);
+    }
+    if (throttleReason) return reject(throttleReason);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  guardContactForm,
+  issueFormToken,
+  verifyFormToken,
+  getFormTokenId,
+  REJECTION_RESPONSES,
+  validateContactForm,
+  HONEYPOT_FIELD
+};
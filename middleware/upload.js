@@ -1,8 +1,23 @@
 const multer = require('multer');
-const { GridFSBucket } = require('mongodb');
 const mongoose = require('mongoose');
+const { UploadedFile } = require('../models/UploadedFile');
+const { processImage } = require('../services/images');
+const { getStorage } = require('../services/storage');
+const { MAX_VIDEO_SIZE, getMediaType } = require('../services/media');
+const { inspectUpload, computeHashes, hammingDistance } = require('../services/uploadValidation');
+
+// 지각 해시가 이 비트 수 이하로 다르고 크기가 같은 이미지는 같은 이미지로 보고 재사용
+// 비슷한 화면의 스크린샷이 합쳐질 수 있으므로 설정한 경우에만 사용 (미설정/음수면 SHA-256이 같은 파일만 재사용, 0은 해시가 같은 이미지)
+const parseDedupeDistance = (value) => {
+  const distance = parseInt(value);
+  return Number.isInteger(distance) && distance >= 0 ? distance : null;
+};
+const IMAGE_DEDUPE_DISTANCE = parseDedupeDistance(process.env.IMAGE_DEDUPE_DISTANCE);
+// 지각 해시 비교 후보 최대 수
+const MAX_DEDUPE_CANDIDATES = 500;
 
 // 파일 필터 함수
+// 클라이언트가 보낸 mimetype으로 먼저 거르고, 실제 형식은 저장 전에 내용으로 확인
 const fileFilter = (req, file, cb) => {
   // 이미지 파일만 허용
   if (file.mimetype.startsWith('image/')) {
@@ -21,86 +36,194 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-// GridFS에 파일 저장하는 함수
-const saveToGridFS = (buffer, filename, mimetype) => {
-  return new Promise((resolve, reject) => {
-    if (!mongoose.connection.db) {
-      return reject(new Error('MongoDB 연결이 필요합니다.'));
+// 갤러리 업로드 설정 - 이미지와 동영상(MP4, WebM) 허용 (실제 형식은 저장 전에 확인)
+// 크기 제한은 동영상 기준이므로 이미지 크기는 라우트에서 따로 확인
+const uploadMedia = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_VIDEO_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (getMediaType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('이미지 또는 동영상(MP4, WebM) 파일만 업로드 가능합니다.'), false);
+    }
+  }
+});
+
+// 파일 저장 - 설정된 저장소(STORAGE_DRIVER)에 새 ID로 저장하고 파일 ID 반환
+const saveFile = async (buffer, filename, mimetype) => {
+  const fileId = new mongoose.Types.ObjectId();
+  await getStorage().save(fileId.toString(), buffer, {
+    filename,
+    contentType: mimetype,
+    metadata: {
+      originalName: filename,
+      uploadedAt: new Date()
     }
+  });
+  return fileId;
+};
 
-    const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'portfolio_images'
-    });
+// 이미지 처리 후 원본과 크기/포맷별 변환본을 함께 저장 - 원본 파일 ID 반환
+// 원본 metadata.variants에 변환본 목록, 변환본 metadata.variantOf에 원본 ID 기록
+// 처리할 수 없는 이미지(GIF 애니메이션, SVG 등)는 그대로 저장
+const storeImage = async (buffer, filename, mimetype) => {
+  const processed = await processImage(buffer);
+  if (!processed) {
+    return saveFile(buffer, filename, mimetype);
+  }
 
-    const uploadStream = bucket.openUploadStream(filename, {
+  const storage = getStorage();
+  const { original } = processed;
+  const originalId = new mongoose.Types.ObjectId().toString();
+  const uploadedAt = new Date();
+  const baseName = filename.replace(/\.[^.]+$/, '');
+  const variants = [];
+
+  try {
+    for (const variant of processed.variants) {
+      const fileId = await storage.save(new mongoose.Types.ObjectId().toString(), variant.buffer, {
+        filename: `${baseName}-${variant.width}w.${variant.format}`,
+        contentType: variant.contentType,
+        metadata: {
+          originalName: filename,
+          uploadedAt,
+          variantOf: originalId,
+          width: variant.width,
+          height: variant.height,
+          format: variant.format
+        }
+      });
+      variants.push({
+        fileId,
+        width: variant.width,
+        height: variant.height,
+        format: variant.format,
+        size: variant.size
+      });
+    }
+
+    await storage.save(originalId, original.buffer, {
+      filename,
+      contentType: original.contentType,
       metadata: {
         originalName: filename,
-        contentType: mimetype,
-        uploadedAt: new Date()
+        uploadedAt,
+        width: original.width,
+        height: original.height,
+        format: original.format,
+        variants: variants.concat({
+          fileId: originalId,
+          width: original.width,
+          height: original.height,
+          format: original.format,
+          size: original.size,
+          original: true
+        })
       }
     });
+  } catch (error) {
+    // 일부만 저장된 변환본 정리
+    await Promise.all(variants.map(variant => storage.delete(variant.fileId).catch(() => {})));
+    throw error;
+  }
 
-    uploadStream.on('error', reject);
-    uploadStream.on('finish', (file) => {
-      resolve(file._id);
-    });
-
-    uploadStream.end(buffer);
-  });
+  return new mongoose.Types.ObjectId(originalId);
 };
 
-// GridFS에서 파일 가져오는 함수
-const getFromGridFS = (fileId) => {
-  return new Promise((resolve, reject) => {
-    if (!mongoose.connection.db) {
-      return reject(new Error('MongoDB 연결이 필요합니다.'));
-    }
+// 같은 내용(SHA-256) 또는 같은 크기에 지각 해시가 가까운 기존 파일 ID - 없으면 null
+// 기록만 남고 저장소에서 삭제된 파일은 기록을 정리하고 건너뜀
+const findReusableFile = async ({ sha256, phash }, { width, height }) => {
+  const conditions = [{ sha256 }];
+  const usePerceptualHash = Boolean(phash) && IMAGE_DEDUPE_DISTANCE !== null;
+  if (usePerceptualHash) {
+    conditions.push(IMAGE_DEDUPE_DISTANCE === 0
+      ? { width, height, phash }
+      : { width, height, phash: { $ne: null } });
+  }
 
-    const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'portfolio_images'
-    });
+  const candidates = await UploadedFile.find({ $or: conditions })
+    .sort({ createdAt: 1 })
+    .limit(MAX_DEDUPE_CANDIDATES)
+    .lean();
+  const matches = candidates
+    .filter(item => item.sha256 === sha256 ||
+      (usePerceptualHash && hammingDistance(item.phash, phash) <= IMAGE_DEDUPE_DISTANCE))
+    // 내용이 같은 파일 우선
+    .sort((a, b) => (b.sha256 === sha256) - (a.sha256 === sha256));
+
+  for (const item of matches) {
+    if (await getStorage().stat(String(item.fileId))) return item.fileId;
+    await UploadedFile.deleteOne({ _id: item._id });
+  }
+  return null;
+};
 
-    const downloadStream = bucket.openDownloadStream(new mongoose.Types.ObjectId(fileId));
-    const chunks = [];
+// 업로드 파일 저장 - 내용으로 형식을 확인하고 같은 파일이 이미 있으면 기존 파일 ID 반환
+// 이미지는 변환본과 함께, 동영상은 그대로 저장
+// inspected: inspectUpload 결과 (없으면 이미지로 확인), 잘못된 파일이면 isInvalidUploadError 오류
+const saveUpload = async (buffer, filename, inspected = null) => {
+  const info = inspected || await inspectUpload(buffer);
+  const hashes = await computeHashes(buffer, info);
+
+  const existing = await findReusableFile(hashes, info);
+  if (existing) return existing;
+
+  const fileId = info.kind === 'image'
+    ? await storeImage(buffer, filename, info.mimetype)
+    : await saveFile(buffer, filename, info.mimetype);
+
+  await UploadedFile.create({
+    fileId,
+    sha256: hashes.sha256,
+    phash: hashes.phash,
+    contentType: info.mimetype,
+    size: buffer.length,
+    width: info.width || null,
+    height: info.height || null,
+    originalName: filename
+  });
+  return fileId;
+};
 
-    downloadStream.on('data', (chunk) => {
-      chunks.push(chunk);
-    });
+// 이미지 저장 - 형식은 클라이언트가 보낸 mimetype이 아닌 내용으로 판별
+const saveImage = (buffer, filename) => saveUpload(buffer, filename);
 
-    downloadStream.on('error', reject);
+// 파일 정보 - { id, filename, length, contentType, uploadDate, metadata }, 파일이 없으면 null
+const getFileInfo = (fileId) => {
+  return getStorage().stat(String(fileId));
+};
 
-    downloadStream.on('end', () => {
-      const buffer = Buffer.concat(chunks);
-      resolve(buffer);
-    });
-  });
+// 파일 스트림 - range: { start, end } (end 포함)
+// 전체 파일을 메모리에 올리지 않고 청크 단위로 전송할 때 사용
+const openFileStream = (fileId, range = null) => {
+  return getStorage().openReadStream(String(fileId), range);
 };
 
-// GridFS에서 파일 삭제하는 함수
-const deleteFromGridFS = (fileId) => {
-  return new Promise((resolve, reject) => {
-    if (!mongoose.connection.db) {
-      return reject(new Error('MongoDB 연결이 필요합니다.'));
-    }
+// 파일 전체 읽기 (저장소 이전 등 작은 파일용)
+const readFile = async (fileId, storage = getStorage()) => {
+  const stream = await storage.openReadStream(String(fileId));
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
 
-    const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'portfolio_images'
-    });
+// 파일 삭제 (이미지 변환본 포함) - 원본이 이미 없으면 false 반환
+const deleteFile = async (fileId) => {
+  const storage = getStorage();
+  const info = await storage.stat(String(fileId));
+  const variants = ((info && info.metadata.variants) || []).filter(variant => !variant.original);
 
-    bucket.delete(new mongoose.Types.ObjectId(fileId), (error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
-  });
-};
+  for (const variant of variants) {
+    await storage.delete(String(variant.fileId));
+  }
 
-// Base64로 이미지 인코딩
-const encodeImageToBase64 = (buffer, mimetype) => {
-  const base64 = buffer.toString('base64');
-  return `data:${mimetype};base64,${base64}`;
+  await UploadedFile.deleteOne({ fileId });
+  return storage.delete(String(fileId));
 };
 
 // Base64에서 이미지 디코딩
@@ -117,31 +240,15 @@ const decodeBase64Image = (base64String) => {
   };
 };
 
-// 파일 메타데이터 가져오기
-const getFileInfo = async (fileId) => {
-  if (!mongoose.connection.db) {
-    throw new Error('MongoDB 연결이 필요합니다.');
-  }
-
-  const bucket = new GridFSBucket(mongoose.connection.db, {
-    bucketName: 'portfolio_images'
-  });
-
-  const files = await bucket.find({ _id: new mongoose.Types.ObjectId(fileId) }).toArray();
-  
-  if (files.length === 0) {
-    throw new Error('파일을 찾을 수 없습니다.');
-  }
-
-  return files[0];
-};
-
 module.exports = {
   upload,
-  saveToGridFS,
-  getFromGridFS,
-  deleteFromGridFS,
-  encodeImageToBase64,
-  decodeBase64Image,
-  getFileInfo
+  uploadMedia,
+  saveFile,
+  saveUpload,
+  saveImage,
+  getFileInfo,
+  openFileStream,
+  readFile,
+  deleteFile,
+  decodeBase64Image
 }; 
\ No newline at end of file
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// 요청 주체 - user: 로그인 사용자, cron: 예약 작업, anonymous: 비로그인 요청
+const ACTOR_TYPES = ['user', 'cron', 'anonymous'];
+
+// 감사 로그 스키마 (추가만 가능, 수정/삭제 불가)
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    // 계정이 삭제되어도 남도록 기록 시점의 이메일 저장
+    type: String,
+    default: ''
+  },
+  actorType: {
+    type: String,
+    enum: ACTOR_TYPES,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  action: {
+    // 예: portfolio.create, inquiry.update, mail.retry
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    default: ''
+  },
+  path: {
+    type: String,
+    default: ''
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    default: false
+  },
+  targetType: {
+    type: String,
+    default: ''
+  },
+  targetId: {
+    type: String,
+    default: ''
+  },
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 인덱스 설정
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// 추가 전용 - 기존 기록 변경 차단
+const rejectMutation = function(next) {
+  next(new Error('감사 로그는 수정하거나 삭제할 수 없습니다.'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+const AuditEvent = mongoose.models.AuditEvent || mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = {
+  AuditEvent,
+  ACTOR_TYPES
+};
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const { TRANSLATED_LOCALES } = require('../services/i18n');
+
+// 카테고리 색상 - Tailwind 색상 이름 (카드 배경, 카테고리 뱃지)
+const CATEGORY_COLORS = [
+  'slate', 'red', 'orange', 'amber', 'yellow', 'lime', 'green', 'emerald', 'teal',
+  'cyan', 'sky', 'blue', 'indigo', 'violet', 'purple', 'fuchsia', 'pink', 'rose'
+];
+const DEFAULT_COLOR = 'slate';
+
+// 메인 페이지의 전체 보기 필터와 겹치는 이름
+const RESERVED_NAMES = ['전체'];
+
+// 기본 카테고리 (컬렉션이 비어 있을 때 생성) - 배열 순서가 표시 순서
+const DEFAULT_CATEGORIES = [
+  { name: 'AI/ML', labels: { en: 'AI/ML' }, color: 'purple', icon: 'ri-robot-line', projectTypes: ['AI/ML 솔루션'] },
+  { name: '엔터프라이즈', labels: { en: 'Enterprise' }, color: 'blue', icon: 'ri-building-line', projectTypes: ['엔터프라이즈 시스템'] },
+  { name: 'IoT', labels: { en: 'IoT' }, color: 'green', icon: 'ri-cpu-line', projectTypes: ['자동화 & IoT'] },
+  { name: '플랫폼', labels: { en: 'Platform' }, color: 'yellow', icon: 'ri-stack-line', projectTypes: ['웹 플랫폼'] },
+  { name: '벤치마크', labels: { en: 'Benchmark' }, color: 'teal', icon: 'ri-bar-chart-line', projectTypes: ['웹 플랫폼'] },
+  { name: '데이터', labels: { en: 'Data' }, color: 'emerald', icon: 'ri-database-2-line', projectTypes: ['엔터프라이즈 시스템'] },
+  { name: 'OCR', labels: { en: 'OCR' }, color: 'indigo', icon: 'ri-scan-line', projectTypes: ['AI/ML 솔루션'] }
+];
+
+// 어느 카테고리에도 해당하지 않는 문의의 프로젝트 유형 (항상 선택 가능)
+const OTHER_PROJECT_TYPE = '기타';
+
+// 문의 폼의 프로젝트 유형 - 카테고리 표시 순서대로 중복 없이, 마지막에 '기타'
+// 카테고리 목록이 비어 있으면(DB 장애 등) 기본 카테고리의 유형 사용
+const getProjectTypes = (categories) => {
+  const source = categories.length > 0 ? categories : DEFAULT_CATEGORIES;
+  const types = source
+    .reduce((list, category) => list.concat(category.projectTypes || []), [])
+    .concat(OTHER_PROJECT_TYPE);
+  return types.filter((type, index) => type && types.indexOf(type) === index);
+};
+
+// 언어별 표시 이름 (기본 언어 ko는 name)
+const labelsSchema = new mongoose.Schema(
+  TRANSLATED_LOCALES.reduce((paths, locale) => Object.assign(paths, {
+    [locale]: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [50, '카테고리 번역 이름은 50자를 초과할 수 없습니다.']
+    }
+  }), {}),
+  { _id: false }
+);
+
+// 카테고리 스키마 정의 - 포트폴리오는 카테고리 이름(name)을 저장
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '카테고리 이름은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [50, '카테고리 이름은 50자를 초과할 수 없습니다.'],
+    // 목록 필터(?category=AI/ML,IoT)가 쉼표로 구분하므로 사용 불가
+    match: [/^[^,]+$/, '카테고리 이름에는 쉼표를 사용할 수 없습니다.']
+  },
+  labels: {
+    type: labelsSchema,
+    default: () => ({})
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, '카테고리 설명은 500자를 초과할 수 없습니다.']
+  },
+  color: {
+    type: String,
+    default: DEFAULT_COLOR,
+    enum: {
+      values: CATEGORY_COLORS,
+      message: '유효하지 않은 색상입니다.'
+    }
+  },
+  icon: {
+    // Remix Icon 클래스 (예: ri-robot-line)
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^(ri-[a-z0-9-]+)?$/, '아이콘은 Remix Icon 클래스 이름(ri-...)이어야 합니다.']
+  },
+  projectTypes: {
+    // 문의 폼의 프로젝트 유형 - 이 유형의 문의 자동 응답 메일에 이 카테고리(하위 포함)의 포트폴리오를 소개
+    // 문의 폼의 선택 항목은 모든 카테고리의 유형으로 생성 (getProjectTypes)
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, '프로젝트 유형은 100자를 초과할 수 없습니다.']
+    }],
+    default: []
+  },
+  previousNames: {
+    // 이름 변경/병합 전 이름 - 이전 이름이 남은 리비전을 복원할 때 현재 이름으로 변경
+    type: [String],
+    default: []
+  },
+  parent: {
+    // 상위 카테고리 - 상위 카테고리로 필터링하면 하위 카테고리 포트폴리오도 포함
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  order: {
+    // 표시 순서 (작을수록 앞) - 생성 시 지정하지 않으면 마지막
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+categorySchema.index({ name: 1 }, { unique: true });
+categorySchema.index({ order: 1 });
+categorySchema.index({ parent: 1 });
+categorySchema.index({ projectTypes: 1 });
+categorySchema.index({ previousNames: 1 });
+
+// 저장된 이름 기록 - 이름을 바꾸면 포트폴리오의 카테고리도 변경 (services/categories.js)
+categorySchema.post('init', function() {
+  this.$locals.savedName = this.name;
+});
+
+categorySchema.post('save', function() {
+  this.$locals.savedName = this.name;
+});
+
+// 저장 전 이름 중복, 상위 카테고리 확인 및 표시 순서 지정
+categorySchema.pre('validate', async function() {
+  if (this.isModified('name') && this.name) {
+    if (RESERVED_NAMES.includes(this.name)) {
+      this.invalidate('name', '사용할 수 없는 카테고리 이름입니다.', this.name);
+    } else if (await this.constructor.exists({ name: this.name, _id: { $ne: this._id } })) {
+      this.invalidate('name', '이미 사용 중인 카테고리 이름입니다.', this.name);
+    }
+
+    // 이전 이름 기록 (예전 이름으로 되돌리면 목록에서 제외)
+    const savedName = this.$locals.savedName;
+    if (!this.isNew && savedName && savedName !== this.name) {
+      this.previousNames.addToSet(savedName);
+    }
+    this.previousNames.pull(this.name);
+  }
+
+  if (this.isModified('parent') && this.parent) {
+    if (this.parent.equals(this._id)) {
+      this.invalidate('parent', '자기 자신을 상위 카테고리로 지정할 수 없습니다.', this.parent);
+    } else if (!(await this.constructor.exists({ _id: this.parent }))) {
+      this.invalidate('parent', '상위 카테고리를 찾을 수 없습니다.', this.parent);
+    } else if (!this.isNew && await this.constructor.isDescendant(this.parent, this._id)) {
+      this.invalidate('parent', '하위 카테고리를 상위 카테고리로 지정할 수 없습니다.', this.parent);
+    }
+  }
+
+  if (this.isNew && (this.order === null || this.order === undefined)) {
+    const last = await this.constructor.findOne().sort({ order: -1 }).select('order');
+    this.order = last && typeof last.order === 'number' ? last.order + 1 : 0;
+  }
+});
+
+// 정적 메서드 - 표시 순서대로 전체 목록
+categorySchema.statics.findOrdered = function() {
+  return this.find().sort({ order: 1, name: 1 });
+};
+
+// 정적 메서드 - 문의 폼의 프로젝트 유형 목록
+categorySchema.statics.findProjectTypes = async function() {
+  return getProjectTypes(await this.findOrdered().select('projectTypes'));
+};
+
+// 정적 메서드 - id가 ancestorId의 하위 카테고리인지 (상위 카테고리를 따라 올라가며 확인)
+categorySchema.statics.isDescendant = async function(id, ancestorId) {
+  const visited = new Set();
+  let current = await this.findById(id).select('parent');
+
+  while (current && current.parent && !visited.has(String(current._id))) {
+    if (current.parent.equals(ancestorId)) return true;
+    visited.add(String(current._id));
+    current = await this.findById(current.parent).select('parent');
+  }
+  return false;
+};
+
+// 정적 메서드 - 이름 변경/병합 전 이름이면 현재 이름 반환 (리비전 복원용), 그 외에는 그대로
+categorySchema.statics.resolveName = async function(name) {
+  if (!name || await this.exists({ name })) return name;
+  const renamed = await this.findOne({ previousNames: name }).select('name');
+  return renamed ? renamed.name : name;
+};
+
+// 정적 메서드 - 카테고리 이름에 하위 카테고리 이름을 모두 포함 (없는 이름은 그대로 유지)
+// 예: ['AI/ML'] → ['AI/ML', 'LLM', 'OCR'] (LLM, OCR이 AI/ML의 하위 카테고리일 때)
+categorySchema.statics.expandNames = async function(names) {
+  const categories = await this.find().select('name parent');
+  const result = new Set(names);
+  const selectedIds = new Set(categories.filter(category => result.has(category.name)).map(category => String(category._id)));
+
+  let added = true;
+  while (added) {
+    added = false;
+    categories.forEach(category => {
+      const id = String(category._id);
+      if (!selectedIds.has(id) && category.parent && selectedIds.has(String(category.parent))) {
+        selectedIds.add(id);
+        result.add(category.name);
+        added = true;
+      }
+    });
+  }
+  return Array.from(result);
+};
+
+// 모델 생성
+const Category = mongoose.models.Category || mongoose.model('Category', categorySchema);
+
+// 기본 카테고리 초기화 - 포트폴리오 기본 데이터보다 먼저 실행 (포트폴리오 저장 시 카테고리 확인)
+const initializeDefaultCategories = async () => {
+  try {
+    const count = await Category.countDocuments();
+    if (count > 0) return;
+
+    await Category.insertMany(DEFAULT_CATEGORIES.map((category, index) => Object.assign({ order: index }, category)));
+    console.log('기본 카테고리가 생성되었습니다.');
+  } catch (error) {
+    console.error('카테고리 초기화 오류:', error);
+  }
+};
+
+module.exports = {
+  Category,
+  CATEGORY_COLORS,
+  DEFAULT_COLOR,
+  DEFAULT_CATEGORIES,
+  OTHER_PROJECT_TYPE,
+  getProjectTypes,
+  initializeDefaultCategories
+};
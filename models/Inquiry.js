@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+// 영업 진행 상태 및 허용되는 상태 전환
+const INQUIRY_STATUSES = ['new', 'contacted', 'proposal', 'won', 'lost'];
+const STATUS_TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['proposal', 'won', 'lost'],
+  proposal: ['contacted', 'won', 'lost'],
+  won: [],
+  lost: ['contacted'] // 재접촉 시 다시 진행
+};
+
+// 내부 메모 스키마
+const noteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, '메모 내용은 필수 항목입니다.'],
+    trim: true,
+    maxlength: [2000, '메모는 2000자를 초과할 수 없습니다.']
+  }
+}, {
+  timestamps: true
+});
+
+// 상태 변경 이력 스키마
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// 문의 스키마 정의
+const inquirySchema = new mongoose.Schema({
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [200, '회사명은 200자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, '담당자명은 100자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [50, '연락처는 50자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [200, '이메일은 200자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  projectType: {
+    type: String,
+    trim: true,
+    maxlength: [100, '프로젝트 유형은 100자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [5000, '프로젝트 설명은 5000자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  locale: {
+    // 문의자 언어 (자동 응답 메일 언어)
+    type: String,
+    enum: ['ko', 'en'],
+    default: 'ko'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: INQUIRY_STATUSES,
+      message: '유효하지 않은 문의 상태입니다.'
+    },
+    default: 'new'
+  },
+  statusHistory: [statusChangeSchema],
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: [noteSchema],
+  emailStatus: {
+    // 알림 메일 발송 상태
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  emailError: {
+    type: String,
+    default: ''
+  },
+  messageHash: {
+    // 중복 제출 확인용 (정규화한 메시지의 SHA-256)
+    type: String,
+    default: ''
+  },
+  formTokenId: {
+    // 제출에 사용한 폼 토큰 식별자 - 토큰은 한 번만 사용 가능
+    type: String
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+inquirySchema.index({ status: 1, createdAt: -1 });
+inquirySchema.index({ assignee: 1, createdAt: -1 });
+inquirySchema.index({ createdAt: -1 });
+inquirySchema.index({ ip: 1, createdAt: -1 });
+inquirySchema.index({ email: 1, createdAt: -1 });
+inquirySchema.index({ formTokenId: 1 }, { unique: true, sparse: true });
+
+// 인스턴스 메서드 - 상태 전환 가능 여부
+inquirySchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// 인스턴스 메서드 - 상태 변경 (이력 기록)
+inquirySchema.methods.changeStatus = function(status, user) {
+  if (status === this.status) return;
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`'${this.status}' 상태에서 '${status}' 상태로 변경할 수 없습니다.`);
+  }
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: user ? user._id : null
+  });
+  this.status = status;
+};
+
+// 인스턴스 메서드 - 내부 메모 추가
+inquirySchema.methods.addNote = function(body, user) {
+  this.notes.push({
+    body,
+    author: user ? user._id : null
+  });
+};
+
+const Inquiry = mongoose.models.Inquiry || mongoose.model('Inquiry', inquirySchema);
+
+module.exports = {
+  Inquiry,
+  INQUIRY_STATUSES,
+  STATUS_TRANSITIONS
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// 발송 대기열 상태
+// queued → sending → sent
+//                  ↘ retrying → sending ... → dead (재시도 한도 초과 또는 영구 오류)
+const MAIL_JOB_STATUSES = ['queued', 'sending', 'sent', 'retrying', 'dead'];
+
+// 실패 기록 스키마
+const attemptErrorSchema = new mongoose.Schema({
+  message: String,
+  code: String,
+  responseCode: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// 메일 outbox 스키마 정의
+const mailJobSchema = new mongoose.Schema({
+  message: {
+    // nodemailer 메시지 옵션 (from, to, subject, html, text, replyTo ...)
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  kind: {
+    // 메일 종류 (inquiry-notification 등)
+    type: String,
+    default: 'generic'
+  },
+  status: {
+    type: String,
+    enum: MAIL_JOB_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  failures: [attemptErrorSchema],
+  transport: {
+    type: String,
+    default: ''
+  },
+  messageId: {
+    type: String,
+    default: ''
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  inquiry: {
+    // 관련 문의 (발송 결과를 문의에 반영)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inquiry',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 인덱스 설정
+mailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+mailJobSchema.index({ inquiry: 1 });
+mailJobSchema.index({ createdAt: -1 });
+
+const MailJob = mongoose.models.MailJob || mongoose.model('MailJob', mailJobSchema);
+
+module.exports = {
+  MailJob,
+  MAIL_JOB_STATUSES
+};
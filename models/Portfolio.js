@@ -1,4 +1,130 @@
 const mongoose = require('mongoose');
+const { SEARCH_INDEX_VERSION, buildSearchTokens, buildQueryTokens, rankDocuments } = require('../services/search');
+const { slugify, isReservedSlug } = require('../services/slugs');
+const { Category } = require('./Category');
+const {
+  DEFAULT_LOCALE,
+  TRANSLATED_LOCALES,
+  findMissingTranslations,
+  localizeContent,
+  getCategoryLabel,
+  localizedTagsExpression
+} = require('../services/i18n');
+
+// 검색 시 관련도 계산 대상 후보 최대 개수
+const SEARCH_CANDIDATE_LIMIT = 500;
+
+// 태그 필터 방식 - or: 하나라도 포함, and: 모두 포함
+const TAG_MODES = ['or', 'and'];
+
+// 게시 상태 - draft: 작성 중, scheduled: 예약, published: 게시, archived: 보관
+const PORTFOLIO_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// 갤러리 미디어 종류 - image/video: 업로드 파일, youtube: YouTube 동영상 링크
+const MEDIA_TYPES = ['image', 'video', 'youtube'];
+
+// 포트폴리오당 최대 미디어 개수
+const MAX_MEDIA = 20;
+
+// 갤러리 미디어 스키마 - 배열 순서가 표시 순서
+const mediaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: MEDIA_TYPES,
+      message: '유효하지 않은 미디어 종류입니다.'
+    }
+  },
+  fileId: {
+    // 업로드 파일 ID (image, video)
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  youtubeId: {
+    // YouTube 동영상 ID (youtube)
+    type: String,
+    default: ''
+  },
+  caption: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, '캡션은 300자를 초과할 수 없습니다.']
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// 가상 필드 - 미디어 URL (YouTube는 시청 페이지)
+mediaSchema.virtual('url').get(function() {
+  if (this.type === 'youtube') {
+    return `https://www.youtube.com/watch?v=${this.youtubeId}`;
+  }
+  return this.fileId ? `/api/portfolio/image/${this.fileId}` : '';
+});
+
+// 가상 필드 - YouTube 임베드 URL (쿠키를 남기지 않는 도메인)
+mediaSchema.virtual('embedUrl').get(function() {
+  return this.type === 'youtube' ? `https://www.youtube-nocookie.com/embed/${this.youtubeId}` : '';
+});
+
+// 가상 필드 - 썸네일 URL (업로드 동영상은 없음)
+mediaSchema.virtual('thumbnailUrl').get(function() {
+  if (this.type === 'youtube') {
+    return `https://i.ytimg.com/vi/${this.youtubeId}/hqdefault.jpg`;
+  }
+  return this.type === 'image' && this.fileId ? `/api/portfolio/image/${this.fileId}?w=320` : '';
+});
+
+// 가상 필드 - 대표 이미지 여부 (포트폴리오 imageId와 같은 이미지)
+mediaSchema.virtual('isCover').get(function() {
+  const portfolio = this.ownerDocument();
+  return this.type === 'image' && Boolean(this.fileId && portfolio.imageId && portfolio.imageId.equals(this.fileId));
+});
+
+// 종류별 필수 값 확인
+mediaSchema.pre('validate', function(next) {
+  if (this.type === 'youtube' ? !this.youtubeId : !this.fileId) {
+    this.invalidate(this.type === 'youtube' ? 'youtubeId' : 'fileId', '미디어 파일 또는 링크가 필요합니다.');
+  }
+  next();
+});
+
+// 번역 스키마 - 기본 언어(ko)가 아닌 언어의 제목/설명/태그 (비어 있으면 기본 언어 값 사용)
+const translationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, '번역 제목은 200자를 초과할 수 없습니다.']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [2000, '번역 설명은 2000자를 초과할 수 없습니다.']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [50, '번역 태그는 50자를 초과할 수 없습니다.']
+  }]
+}, { _id: false });
+
+// 언어별 번역 - { en: { title, description, tags } }
+const translationsSchema = new mongoose.Schema(
+  TRANSLATED_LOCALES.reduce((paths, locale) => Object.assign(paths, { [locale]: translationSchema }), {}),
+  { _id: false }
+);
 
 // 포트폴리오 스키마 정의
 const portfolioSchema = new mongoose.Schema({
@@ -8,6 +134,17 @@ const portfolioSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, '제목은 200자를 초과할 수 없습니다.']
   },
+  slug: {
+    // 프로젝트 페이지 주소 (/projects/:slug) - 비어 있으면 저장할 때 제목으로 생성
+    // API의 :id 자리에도 사용 가능
+    type: String,
+    trim: true
+  },
+  previousSlugs: {
+    // 이전 슬러그 - 예전 주소로 들어오면 현재 슬러그 주소로 영구 이동 (301)
+    type: [String],
+    default: []
+  },
   description: {
     type: String,
     required: [true, '설명은 필수 항목입니다.'],
@@ -19,7 +156,7 @@ const portfolioSchema = new mongoose.Schema({
     default: ''
   },
   imageId: {
-    // GridFS 파일 ID
+    // 대표 이미지 파일 ID (갤러리 이미지 중 하나를 지정할 수 있음)
     type: mongoose.Schema.Types.ObjectId,
     default: null
   },
@@ -28,39 +165,98 @@ const portfolioSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  media: {
+    // 갤러리 (스크린샷, 동영상, YouTube 링크)
+    type: [mediaSchema],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_MEDIA;
+      },
+      message: `미디어는 최대 ${MAX_MEDIA}개까지 등록할 수 있습니다.`
+    }
+  },
   url: {
     type: String,
     trim: true,
     validate: {
       validator: function(v) {
         if (!v) return true; // URL이 없으면 유효
+        // 공개 페이지에 링크로 표시되므로 http/https만 허용 (javascript: 등 차단)
         try {
-          new URL(v);
-          return true;
+          return ['http:', 'https:'].includes(new URL(v).protocol);
         } catch {
           return false;
         }
       },
-      message: '올바른 URL 형식이 아닙니다.'
+      message: '올바른 URL 형식이 아닙니다. (http 또는 https 주소만 사용 가능)'
     }
   },
   category: {
+    // 카테고리 이름 (Category 컬렉션에 있는 값만 저장 가능, 이름 변경/병합 시 함께 변경)
     type: String,
     required: [true, '카테고리는 필수 항목입니다.'],
-    enum: {
-      values: ['AI/ML', '엔터프라이즈', 'IoT', '플랫폼', '벤치마크', '데이터', 'OCR'],
-      message: '유효하지 않은 카테고리입니다.'
-    }
+    trim: true
   },
   tags: [{
     type: String,
     trim: true,
     maxlength: [50, '태그는 50자를 초과할 수 없습니다.']
   }],
+  translations: {
+    // 번역 (title, description, tags는 기본 언어 ko)
+    type: translationsSchema,
+    default: () => ({})
+  },
   featured: {
     type: Boolean,
     default: false
   },
+  status: {
+    type: String,
+    enum: {
+      values: PORTFOLIO_STATUSES,
+      message: '유효하지 않은 게시 상태입니다.'
+    },
+    default: 'draft'
+  },
+  publishAt: {
+    // 예약 게시 일시
+    type: Date,
+    default: null,
+    required: [function() { return this.status === 'scheduled'; }, '예약 게시에는 게시 일시가 필요합니다.']
+  },
+  unpublishAt: {
+    // 게시 종료 일시 (지나면 보관 처리)
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        if (!v || !this.publishAt) return true;
+        return v > this.publishAt;
+      },
+      message: '게시 종료 일시는 게시 일시 이후여야 합니다.'
+    }
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    // 휴지통 이동 일시 (null이면 삭제되지 않음)
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  version: {
+    // 내용이 바뀔 때마다 증가 (ETag/If-Match 동시 수정 확인용)
+    type: Number,
+    default: 1
+  },
   views: {
     type: Number,
     default: 0
@@ -68,6 +264,15 @@ const portfolioSchema = new mongoose.Schema({
   likes: {
     type: Number,
     default: 0
+  },
+  searchTokens: {
+    // 한국어 검색용 n-gram 토큰 (저장 시 자동 생성)
+    type: [String],
+    select: false
+  },
+  searchVersion: {
+    type: Number,
+    select: false
   }
 }, {
   timestamps: true, // createdAt, updatedAt 자동 생성
@@ -77,6 +282,8 @@ const portfolioSchema = new mongoose.Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      delete ret.searchTokens;
+      delete ret.searchVersion;
       return ret;
     }
   },
@@ -84,10 +291,15 @@ const portfolioSchema = new mongoose.Schema({
 });
 
 // 인덱스 설정
-portfolioSchema.index({ title: 'text', description: 'text', tags: 'text' });
+portfolioSchema.index({ searchTokens: 1 });
 portfolioSchema.index({ category: 1 });
 portfolioSchema.index({ featured: -1 });
 portfolioSchema.index({ createdAt: -1 });
+portfolioSchema.index({ status: 1, publishAt: 1 });
+portfolioSchema.index({ status: 1, unpublishAt: 1 });
+portfolioSchema.index({ deletedAt: 1 });
+portfolioSchema.index({ slug: 1 }, { unique: true, sparse: true });
+portfolioSchema.index({ previousSlugs: 1 });
 
 // 가상 필드 - 이미지 URL
 portfolioSchema.virtual('imageUrl').get(function() {
@@ -101,29 +313,212 @@ portfolioSchema.virtual('imageUrl').get(function() {
   return '';
 });
 
-// 정적 메서드 - 검색 및 필터링
-portfolioSchema.statics.findWithFilters = function(filters = {}) {
-  let query = {};
+// 가상 필드 - 언어별 번역되지 않은 필드 ({ en: ['description'] })
+portfolioSchema.virtual('missingTranslations').get(function() {
+  return findMissingTranslations(this);
+});
+
+// 가상 필드 - 프로젝트 페이지 URL
+portfolioSchema.virtual('pageUrl').get(function() {
+  return this.slug ? `/projects/${encodeURIComponent(this.slug)}` : '';
+});
+
+// 저장된 슬러그 - 바뀌면 이전 슬러그로 기록
+portfolioSchema.post('init', function() {
+  this.$locals.savedSlug = this.slug;
+});
+
+portfolioSchema.post('save', function() {
+  this.$locals.savedSlug = this.slug;
+});
+
+// 슬러그가 없으면 제목으로 생성, 직접 입력한 슬러그는 형식을 맞추고 중복 확인
+portfolioSchema.pre('validate', async function() {
+  if (!this.slug && this.title) {
+    this.slug = await this.constructor.generateSlug(this.title, this._id);
+  } else if (this.slug && this.isModified('slug')) {
+    this.slug = slugify(this.slug);
+    if (!this.slug || isReservedSlug(this.slug)) {
+      this.invalidate('slug', '사용할 수 없는 슬러그입니다.');
+      return;
+    }
+    if (await this.constructor.isSlugTaken(this.slug, this._id)) {
+      this.invalidate('slug', '이미 사용 중인 슬러그입니다.');
+      return;
+    }
+  }
+
+  // 슬러그가 바뀌었으면 이전 슬러그 기록 (이전 슬러그로 되돌리면 기록에서 제거)
+  const savedSlug = this.$locals.savedSlug;
+  if (savedSlug && this.slug !== savedSlug) {
+    this.previousSlugs = this.previousSlugs.filter(slug => slug !== this.slug);
+    if (!this.previousSlugs.includes(savedSlug)) {
+      this.previousSlugs.push(savedSlug);
+    }
+  }
+});
+
+// 카테고리가 바뀌면 등록된 카테고리인지 확인 (조회수 증가 등 다른 저장에서는 확인하지 않음)
+portfolioSchema.pre('validate', async function() {
+  if (this.category && (this.isNew || this.isModified('category'))) {
+    if (!(await Category.exists({ name: this.category }))) {
+      this.invalidate('category', '유효하지 않은 카테고리입니다.', this.category);
+    }
+  }
+});
+
+// 게시 일시에 맞게 상태 보정
+portfolioSchema.pre('validate', function(next) {
+  const now = new Date();
+
+  if (this.status === 'published' && this.publishAt && this.publishAt > now) {
+    this.status = 'scheduled';
+  } else if (this.status === 'scheduled' && this.publishAt && this.publishAt <= now) {
+    this.status = 'published';
+  }
+  if (this.status === 'published' && this.unpublishAt && this.unpublishAt <= now) {
+    this.status = 'archived';
+  }
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = this.publishAt || now;
+  }
+  next();
+});
+
+// 버전에 반영하지 않는 필드 (조회수, 좋아요 등 자동으로 바뀌는 값)
+const UNVERSIONED_PATHS = ['views', 'likes', 'updatedAt', 'searchTokens', 'searchVersion', 'version'];
+
+// 내용 변경 시 버전 증가 - 저장 시점의 DB 버전이 읽었던 버전과 같을 때만 반영
+// 다른 요청이 먼저 저장했으면 DocumentNotFoundError 발생
+portfolioSchema.pre('save', function(next) {
+  const where = Object.assign({}, this.$where);
+  delete where.version;
+
+  if (!this.isNew) {
+    const changed = this.modifiedPaths().some(path => !UNVERSIONED_PATHS.includes(path.split('.')[0]));
+    if (changed) {
+      where.version = this.version;
+      this.version += 1;
+    }
+  }
+
+  this.$where = where;
+  next();
+});
+
+// 검색 토큰 갱신
+portfolioSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('tags') ||
+    this.isModified('translations')) {
+    this.searchTokens = buildSearchTokens(this);
+    this.searchVersion = SEARCH_INDEX_VERSION;
+  }
+  next();
+});
+
+// 정적 메서드 - 필터 조건을 MongoDB 쿼리로 변환
+// exclude: 패싯 계산 시 제외할 조건 ('category', 'tags', 'date')
+portfolioSchema.statics.buildFilterQuery = function(filters = {}, { exclude = [] } = {}) {
+  const query = {};
   
-  // 카테고리 필터
-  if (filters.category) {
-    query.category = filters.category;
+  // 카테고리 필터 (여러 개 선택 가능)
+  if (filters.category && !exclude.includes('category')) {
+    const categories = [].concat(filters.category);
+    query.category = categories.length === 1 ? categories[0] : { $in: categories };
   }
   
-  // 태그 필터
-  if (filters.tags && filters.tags.length > 0) {
-    query.tags = { $in: filters.tags };
+  // 태그 필터 - 어느 언어의 태그로도 찾을 수 있음
+  if (filters.tags && filters.tags.length > 0 && !exclude.includes('tags')) {
+    const tagPaths = ['tags'].concat(TRANSLATED_LOCALES.map(locale => `translations.${locale}.tags`));
+    const matchTag = (condition) => ({ $or: tagPaths.map(path => ({ [path]: condition })) });
+    query.$and = filters.tagMode === 'and'
+      ? filters.tags.map(tag => matchTag(tag))
+      : [matchTag({ $in: filters.tags })];
   }
   
-  // 텍스트 검색
+  // 기간 필터 (생성일 기준)
+  if ((filters.dateFrom || filters.dateTo) && !exclude.includes('date')) {
+    query.createdAt = {};
+    if (filters.dateFrom) query.createdAt.$gte = filters.dateFrom;
+    if (filters.dateTo) query.createdAt.$lte = filters.dateTo;
+  }
+  
+  // 텍스트 검색 - 토큰이 하나라도 겹치는 문서가 후보 (관련도는 searchWithFilters에서 계산)
   if (filters.search) {
-    query.$text = { $search: filters.search };
+    query.searchTokens = { $in: buildQueryTokens(filters.search) };
+  }
+
+  // 게시 상태 필터 (관리자용)
+  if (filters.status && filters.status.length > 0) {
+    query.status = { $in: [].concat(filters.status) };
+  }
+
+  // 공개 요청은 게시 중인 항목만
+  if (filters.publicOnly) {
+    const { $and, ...publicQuery } = this.publicFilter();
+    Object.assign(query, publicQuery);
+    query.$and = (query.$and || []).concat($and);
+  }
+
+  // 휴지통 항목은 명시적으로 요청한 경우에만
+  query.deletedAt = filters.trashed ? { $ne: null } : null;
+
+  // 검색 결과로 좁혀진 ID 목록
+  if (filters.ids) {
+    query._id = { $in: filters.ids };
   }
   
   // 추천 필터
   if (filters.featured !== undefined) {
     query.featured = filters.featured;
   }
+
+  return query;
+};
+
+// 정적 메서드 - 다른 포트폴리오(휴지통 포함)가 현재 또는 이전 슬러그로 사용 중인지 확인
+// 이전 슬러그도 예전 주소가 계속 이동되도록 다른 포트폴리오에 주지 않음
+portfolioSchema.statics.isSlugTaken = async function(slug, excludeId = null) {
+  const existing = await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug }, { previousSlugs: slug }]
+  });
+  return Boolean(existing);
+};
+
+// 정적 메서드 - 다른 포트폴리오와 겹치지 않는 슬러그 생성
+// 겹치거나 예약된 값이면 뒤에 -2, -3 ... 을 붙임
+portfolioSchema.statics.generateSlug = async function(title, excludeId = null) {
+  const base = slugify(title) || 'project';
+
+  for (let index = 1; ; index += 1) {
+    const slug = index === 1 ? base : `${base}-${index}`;
+    if (!isReservedSlug(slug) && !(await this.isSlugTaken(slug, excludeId))) return slug;
+  }
+};
+
+// 정적 메서드 - 현재 또는 이전 슬러그로 조회 (Query 반환 - select 등 사용 가능)
+// 반환된 문서의 slug가 요청한 값과 다르면 이전 슬러그로 찾은 것
+// isSlugTaken으로 한 슬러그는 한 포트폴리오만 (현재 또는 이전 슬러그로) 사용하므로 결과는 하나
+portfolioSchema.statics.findBySlug = function(slug, filter = {}) {
+  return this.findOne({ $and: [{ $or: [{ slug }, { previousSlugs: slug }] }, filter] });
+};
+
+// 정적 메서드 - 공개 조회 조건
+// 스케줄러 실행 전이라도 게시/종료 일시가 지났으면 바로 반영
+portfolioSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    deletedAt: null,
+    $and: [
+      { $or: [{ status: 'published' }, { status: 'scheduled', publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// 정적 메서드 - 검색 및 필터링
+portfolioSchema.statics.findWithFilters = function(filters = {}) {
+  const query = this.buildFilterQuery(filters);
   
   let mongoQuery = this.find(query);
   
@@ -153,21 +548,174 @@ portfolioSchema.statics.findWithFilters = function(filters = {}) {
   return mongoQuery;
 };
 
+// 정적 메서드 - 관련도 순 검색 결과 ([{ doc, score, highlights }])
+// sort가 '관련도순'이거나 지정되지 않으면 관련도 순, 그 외에는 요청한 정렬 유지
+// 관련도와 강조는 filters.locale 언어의 내용 기준 (번역이 없으면 기본 언어)
+portfolioSchema.statics.searchWithFilters = async function(filters = {}) {
+  const sortByScore = !filters.sort || filters.sort === '관련도순';
+  const locale = filters.locale || DEFAULT_LOCALE;
+  const candidates = await this.findWithFilters(filters).limit(SEARCH_CANDIDATE_LIMIT);
+  const contents = candidates.map(doc => Object.assign(localizeContent(doc, locale), { source: doc }));
+
+  return rankDocuments(contents, filters.search, { sortByScore }).map(result => ({
+    doc: result.doc.source,
+    score: result.score,
+    highlights: result.highlights
+  }));
+};
+
+// 정적 메서드 - 현재 필터 기준 카테고리/태그/연도별 개수
+// 각 패싯은 자기 조건만 제외하고 계산하여 다른 값을 추가 선택했을 때의 개수를 보여줌
+// (태그 AND 모드는 선택한 태그를 모두 포함하는 범위 안에서 계산)
+// 태그와 카테고리 이름은 filters.locale 언어 기준
+// categories: 표시 순서대로 정렬된 카테고리 문서 (없으면 조회)
+portfolioSchema.statics.getFacets = async function(filters = {}, categories = null) {
+  const categoryList = categories || await Category.findOrdered();
+
+  const facetFilters = Object.assign({}, filters);
+
+  // 검색어는 관련도 기준으로 일치한 문서로 한정
+  if (filters.search) {
+    const results = await this.searchWithFilters({ search: filters.search, locale: filters.locale });
+    delete facetFilters.search;
+    facetFilters.ids = results.map(result => result.doc._id);
+  }
+
+  const match = (dimension) => this.buildFilterQuery(facetFilters, { exclude: [dimension] });
+  const tagExclude = filters.tagMode === 'and' ? null : 'tags';
+
+  const [categoryGroups, tags, years] = await Promise.all([
+    this.aggregate([
+      { $match: match('category') },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    this.aggregate([
+      { $match: match(tagExclude) },
+      { $project: { tags: localizedTagsExpression(filters.locale || DEFAULT_LOCALE) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]),
+    this.aggregate([
+      { $match: match('date') },
+      { $group: { _id: { $year: '$createdAt' }, count: { $sum: 1 } } },
+      { $sort: { _id: -1 } }
+    ])
+  ]);
+
+  // 카테고리는 개수가 0인 항목도 포함 (표시 순서 유지)
+  // 개수는 해당 카테고리만 기준 (상위 카테고리 합계는 parent로 계산)
+  const categoryCounts = {};
+  categoryGroups.forEach(item => { categoryCounts[item._id] = item.count; });
+
+  return {
+    categories: categoryList.map(category => {
+      const parent = category.parent && categoryList.find(item => item._id.equals(category.parent));
+      return {
+        category: category.name,
+        label: getCategoryLabel(category, filters.locale || DEFAULT_LOCALE),
+        parent: parent ? parent.name : null,
+        count: categoryCounts[category.name] || 0
+      };
+    }),
+    tags: tags.map(tag => ({ tag: tag._id, count: tag.count })),
+    years: years.map(year => ({ year: year._id, count: year.count }))
+  };
+};
+
+// 정적 메서드 - 예약 게시/게시 종료 처리
+portfolioSchema.statics.applySchedule = async function(now = new Date()) {
+  const published = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now }, deletedAt: null },
+    [{ $set: {
+      status: 'published',
+      publishedAt: '$publishAt',
+      version: { $add: [{ $ifNull: ['$version', 1] }, 1] },
+      updatedAt: now
+    } }]
+  );
+  const archived = await this.updateMany(
+    { status: 'published', unpublishAt: { $lte: now }, deletedAt: null },
+    { $set: { status: 'archived' }, $inc: { version: 1 } }
+  );
+
+  return {
+    published: published.modifiedCount,
+    archived: archived.modifiedCount
+  };
+};
+
+// 정적 메서드 - 검색 토큰이 없거나 오래된 문서 갱신
+portfolioSchema.statics.syncSearchTokens = async function() {
+  const stale = await this.find({ searchVersion: { $ne: SEARCH_INDEX_VERSION } })
+    .select('title description tags translations');
+  if (stale.length === 0) return 0;
+
+  await this.bulkWrite(stale.map(doc => ({
+    updateOne: {
+      filter: { _id: doc._id },
+      update: { $set: { searchTokens: buildSearchTokens(doc), searchVersion: SEARCH_INDEX_VERSION } },
+      timestamps: false
+    }
+  })));
+  return stale.length;
+};
+
+// 인스턴스 메서드 - 공개 여부
+portfolioSchema.methods.isPublic = function(now = new Date()) {
+  const live = this.status === 'published' ||
+    (this.status === 'scheduled' && this.publishAt && this.publishAt <= now);
+  return Boolean(live) && !this.deletedAt && (!this.unpublishAt || this.unpublishAt > now);
+};
+
+// 인스턴스 메서드 - 휴지통으로 이동
+portfolioSchema.methods.moveToTrash = function(user) {
+  this.deletedAt = new Date();
+  this.deletedBy = user ? user._id : null;
+  return this.save();
+};
+
+// 인스턴스 메서드 - 휴지통에서 복원
+portfolioSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save();
+};
+
 // 인스턴스 메서드 - 조회수 증가
+// 내용 변경이 아니므로 updatedAt(사이트맵/피드의 수정 일시)은 그대로 유지
 portfolioSchema.methods.incrementViews = function() {
   this.views += 1;
-  return this.save();
+  return this.save({ timestamps: false });
 };
 
 // 인스턴스 메서드 - 좋아요 증가/감소
 portfolioSchema.methods.toggleLike = function(increment = true) {
   this.likes += increment ? 1 : -1;
   if (this.likes < 0) this.likes = 0;
-  return this.save();
+  return this.save({ timestamps: false });
+};
+
+// 인스턴스 메서드 - 갤러리 이미지를 대표 이미지로 지정 (저장은 호출한 쪽에서)
+portfolioSchema.methods.setCoverMedia = function(item) {
+  this.imageId = item.fileId;
+  this.imageBase64 = '';
+};
+
+// 인스턴스 메서드 - 갤러리 미디어 삭제 (저장은 호출한 쪽에서)
+// 대표 이미지였으면 남은 첫 번째 이미지로 변경, 파일은 리비전 복원을 위해 영구 삭제 시 정리
+portfolioSchema.methods.removeMedia = function(item) {
+  const wasCover = item.isCover;
+  this.media.pull(item._id);
+
+  if (wasCover) {
+    const next = this.media.find(media => media.type === 'image');
+    this.imageId = next ? next.fileId : null;
+  }
 };
 
 // 모델 생성
-const Portfolio = mongoose.model('Portfolio', portfolioSchema);
+const Portfolio = mongoose.models.Portfolio || mongoose.model('Portfolio', portfolioSchema);
 
 // 기본 데이터 초기화 함수
 const initializeDefaultData = async () => {
@@ -255,12 +803,82 @@ const initializeDefaultData = async () => {
           category: 'AI/ML',
           tags: ['큐레이션', 'AI'],
           featured: false
+        },
+        {
+          title: 'RIZE AI',
+          description: 'YouTube 영상을 AI로 분석하여 핵심 인사이트를 제공하는 학습 혁신 플랫폼.',
+          image: 'RIZE AI - YouTube 요약 서비스.png',
+          url: 'https://rize-ai-youtube-summarizer.vercel.app/',
+          category: 'AI/ML',
+          tags: ['YouTube 분석', 'AI 요약'],
+          featured: false
+        },
+        {
+          title: 'Local LLM 챗봇',
+          description: '클라우드 독립적인 로컬 대규모 언어모델로 완전한 프라이버시를 보장하는 챗봇.',
+          image: 'Local LLM 챗봇.png',
+          url: 'http://local-llm.kro.kr/',
+          category: 'AI/ML',
+          tags: ['Local LLM', '프라이버시'],
+          featured: false
+        },
+        {
+          title: 'AGV 관리 시스템',
+          description: '무인 운반 차량의 실시간 모니터링 및 지능형 경로 최적화 시스템.',
+          image: 'AGV 관리 시스템.png',
+          url: 'https://agv-management-system.vercel.app/',
+          category: 'IoT',
+          tags: ['AGV', '자동화'],
+          featured: false
+        },
+        {
+          title: 'MICE 이메일 자동화',
+          description: 'MICE 산업 특화 AI 기반 이메일 자동 생성 및 마케팅 시스템.',
+          image: 'MICE 이메일 자동화 시스템.png',
+          url: 'https://mice-email-automation-efcbe6292efc.herokuapp.com/',
+          category: '엔터프라이즈',
+          tags: ['MICE', '이메일 자동화'],
+          featured: false
         }
       ];
 
-      await Portfolio.insertMany(defaultPortfolios);
+      await Portfolio.insertMany(defaultPortfolios.map(portfolio => {
+        return Object.assign({ status: 'published', publishedAt: new Date() }, portfolio);
+      }));
       console.log('기본 포트폴리오 데이터가 초기화되었습니다.');
     }
+
+    // 게시 상태 도입 전 문서는 게시 중으로 처리
+    const legacy = await Portfolio.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt' } }],
+      { timestamps: false }
+    );
+    if (legacy.modifiedCount > 0) {
+      console.log(`기존 포트폴리오를 게시 상태로 설정했습니다: ${legacy.modifiedCount}개`);
+    }
+
+    // 버전 도입 전 문서는 버전 1로 시작 (저장 시 버전 비교 조건과 일치하도록)
+    await Portfolio.updateMany(
+      { version: { $exists: false } },
+      { $set: { version: 1 } },
+      { timestamps: false }
+    );
+
+    // 슬러그 도입 전 문서에 슬러그 생성 (휴지통 항목 포함)
+    const withoutSlug = await Portfolio.find({ slug: { $in: [null, ''] } }).select('title').sort({ createdAt: 1 });
+    for (const portfolio of withoutSlug) {
+      const slug = await Portfolio.generateSlug(portfolio.title, portfolio._id);
+      await Portfolio.updateOne({ _id: portfolio._id }, { $set: { slug } }, { timestamps: false });
+    }
+    if (withoutSlug.length > 0) {
+      console.log(`프로젝트 페이지 슬러그가 생성되었습니다: ${withoutSlug.length}개`);
+    }
+
+    const synced = await Portfolio.syncSearchTokens();
+    if (synced > 0) {
+      console.log(`검색 토큰이 갱신되었습니다: ${synced}개`);
+    }
   } catch (error) {
     console.error('기본 데이터 초기화 오류:', error);
   }
@@ -268,5 +886,9 @@ const initializeDefaultData = async () => {
 
 module.exports = {
   Portfolio,
+  TAG_MODES,
+  MEDIA_TYPES,
+  MAX_MEDIA,
+  PORTFOLIO_STATUSES,
   initializeDefaultData
 }; 
\ No newline at end of file
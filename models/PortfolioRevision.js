@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// 리비전 생성 원인
+// import: 리비전 기록 도입 전 문서의 기준 상태, restore: 이전 리비전으로 복원, category: 카테고리 이름 변경/병합
+const REVISION_ACTIONS = ['import', 'create', 'update', 'restore', 'category'];
+
+// 포트폴리오 리비전 스키마 - 저장 시점의 전체 스냅샷과 직전 상태 대비 변경 내역
+const portfolioRevisionSchema = new mongoose.Schema({
+  portfolio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  number: {
+    // 포트폴리오별 1부터 증가
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  restoredFrom: {
+    // 복원한 리비전 번호
+    type: Number,
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 인덱스 설정
+portfolioRevisionSchema.index({ portfolio: 1, number: -1 }, { unique: true });
+
+const PortfolioRevision = mongoose.models.PortfolioRevision ||
+  mongoose.model('PortfolioRevision', portfolioRevisionSchema);
+
+module.exports = {
+  PortfolioRevision,
+  REVISION_ACTIONS
+};
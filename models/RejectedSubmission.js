@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// 거부 사유
+const REJECTION_REASONS = [
+  'validation',
+  'honeypot',
+  'token',
+  'token_reused',
+  'too_fast',
+  'captcha',
+  'origin',
+  'ip_throttle',
+  'email_throttle',
+  'duplicate'
+];
+
+const RETENTION_DAYS = parseInt(process.env.REJECTED_SUBMISSION_RETENTION_DAYS) || 90;
+
+// 거부된 문의 제출 기록 스키마 (스팸 규칙 조정용)
+const rejectedSubmissionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: REJECTION_REASONS,
+    required: true
+  },
+  details: {
+    type: [String],
+    default: []
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  origin: {
+    type: String,
+    default: ''
+  },
+  email: {
+    type: String,
+    default: ''
+  },
+  payload: {
+    // 제출 내용 (길이 제한 후 저장)
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 인덱스 설정 (보존 기간이 지나면 자동 삭제)
+rejectedSubmissionSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+rejectedSubmissionSchema.index({ reason: 1, createdAt: -1 });
+
+const RejectedSubmission = mongoose.models.RejectedSubmission ||
+  mongoose.model('RejectedSubmission', rejectedSubmissionSchema);
+
+module.exports = {
+  RejectedSubmission,
+  REJECTION_REASONS
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// 업로드 파일 해시 기록 스키마 - 같은 파일을 다시 업로드하면 기존 파일 재사용
+// 저장소(GridFS, 파일 시스템, S3)와 관계없이 파일 ID로 연결
+const uploadedFileSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  sha256: {
+    // 업로드한 내용 그대로의 해시
+    type: String,
+    required: true
+  },
+  phash: {
+    // 지각 해시 (래스터 이미지만)
+    type: String,
+    default: null
+  },
+  contentType: {
+    type: String,
+    default: ''
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  originalName: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// 인덱스 설정
+uploadedFileSchema.index({ sha256: 1 });
+uploadedFileSchema.index({ width: 1, height: 1, phash: 1 });
+
+const UploadedFile = mongoose.models.UploadedFile || mongoose.model('UploadedFile', uploadedFileSchema);
+
+module.exports = {
+  UploadedFile
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// 역할 정의 (낮은 권한 → 높은 권한 순)
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// 관리자 계정 스키마 정의
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, '이메일은 필수 항목입니다.'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, '올바른 이메일 형식이 아닙니다.']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, '이름은 100자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: '유효하지 않은 역할입니다.'
+    },
+    default: 'viewer'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+// 인스턴스 메서드 - 비밀번호 설정 (bcrypt 해시)
+userSchema.methods.setPassword = async function(password) {
+  if (!password || password.length < 8) {
+    throw new Error('비밀번호는 8자 이상이어야 합니다.');
+  }
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+// 인스턴스 메서드 - 비밀번호 확인
+userSchema.methods.verifyPassword = function(password) {
+  if (!password || !this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// 인스턴스 메서드 - 역할 권한 확인
+userSchema.methods.hasRole = function(requiredRole) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(requiredRole);
+};
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+
+// 최초 관리자(owner) 계정 생성 - 계정이 하나도 없을 때만
+const initializeDefaultAdmin = async () => {
+  try {
+    const count = await User.countDocuments();
+    if (count > 0) return;
+
+    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+      console.warn('관리자 계정 정보(ADMIN_EMAIL, ADMIN_PASSWORD)가 설정되지 않았습니다. 관리자 로그인이 불가능합니다.');
+      return;
+    }
+
+    const owner = new User({
+      email: process.env.ADMIN_EMAIL,
+      name: '관리자',
+      role: 'owner'
+    });
+    await owner.setPassword(process.env.ADMIN_PASSWORD);
+    await owner.save();
+    console.log(`기본 관리자 계정이 생성되었습니다: ${owner.email}`);
+  } catch (error) {
+    console.error('관리자 계정 초기화 오류:', error);
+  }
+};
+
+module.exports = {
+  User,
+  ROLES,
+  initializeDefaultAdmin
+};
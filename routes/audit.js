@@ -0,0 +1,196 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AuditEvent, ACTOR_TYPES } = require('../models/AuditEvent');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// CSV 내보내기 최대 행 수
+const EXPORT_LIMIT = 10000;
+// 조회 페이지당 최대 항목 수
+const MAX_PAGE_LIMIT = 200;
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'actorEmail',
+  'actorType',
+  'ip',
+  'action',
+  'method',
+  'path',
+  'targetType',
+  'targetId',
+  'statusCode',
+  'success',
+  'changedFields',
+  'before',
+  'after'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 날짜 파라미터 - YYYY-MM-DD는 해당 날짜의 시작(또는 끝)으로 처리
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// 쿼리 파라미터로 검색 조건 생성 - 잘못된 값이면 오류 메시지 반환
+const buildQuery = (params) => {
+  const { actor, actorType, action, targetType, targetId, success, ip, from, to } = params;
+  const query = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query.actor = actor;
+    } else {
+      query.actorEmail = String(actor).toLowerCase();
+    }
+  }
+  if (actorType) {
+    if (!ACTOR_TYPES.includes(actorType)) {
+      return { error: `actorType은 ${ACTOR_TYPES.join(', ')} 중 하나여야 합니다.` };
+    }
+    query.actorType = actorType;
+  }
+  if (action) {
+    const actions = String(action).split(',').map(item => item.trim()).filter(Boolean);
+    // portfolio.* 처럼 접두어로 검색
+    query.$or = actions.map(item => item.endsWith('.*')
+      ? { action: { $regex: `^${escapeRegex(item.slice(0, -1))}` } }
+      : { action: item });
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = String(targetId);
+  if (ip) query.ip = ip;
+  if (success === 'true' || success === 'false') {
+    query.success = success === 'true';
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to, true);
+  if (fromDate === undefined || toDate === undefined) {
+    return { error: '잘못된 날짜 형식입니다.' };
+  }
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  return { query };
+};
+
+// CSV 값 변환 - 따옴표 이스케이프와 스프레드시트 수식 실행 방지
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(' ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// GET /api/admin/audit - 감사 로그 조회
+router.get('/', authorize('owner'), async (req, res) => {
+  try {
+    // 숫자가 아니거나 범위를 벗어난 값은 기본값/최대값으로 조정
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_LIMIT);
+    const { query, error } = buildQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const skip = (page - 1) * limit;
+    const [events, totalItems] = await Promise.all([
+      AuditEvent.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      AuditEvent.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('감사 로그 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '감사 로그 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/audit/export - 감사 로그 CSV 내보내기 (조회와 같은 필터)
+router.get('/export', authorize('owner'), async (req, res) => {
+  const { query, error } = buildQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const cursor = AuditEvent.find(query).sort({ createdAt: -1 }).limit(EXPORT_LIMIT).lean().cursor();
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  try {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+    res.write('\uFEFF' + CSV_COLUMNS.join(',') + '\r\n');
+
+    for await (const event of cursor) {
+      const row = CSV_COLUMNS.map(column => toCsvValue(event[column]));
+      res.write(row.join(',') + '\r\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('감사 로그 내보내기 오류:', error);
+    await cursor.close().catch(() => {});
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: '감사 로그 내보내기 중 오류가 발생했습니다.',
+        message: error.message
+      });
+    }
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const { User, ROLES } = require('../models/User');
+const { signToken, requireAuth, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// 로그인 시도 제한 (무차별 대입 방지)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15분
+  max: 10, // 최대 10회
+  message: {
+    success: false,
+    error: '로그인 시도가 너무 많습니다. 잠시 후 다시 시도해주세요.'
+  }
+});
+
+// 감사 로그용 계정 상태 조회
+const auditUser = (action, options = {}) => audit(action, Object.assign({
+  target: 'user',
+  load: (id) => User.findById(id)
+}, options));
+
+// 마지막 owner 계정이 사라지지 않도록 확인
+const isLastOwner = async (user) => {
+  if (user.role !== 'owner') return false;
+  const ownerCount = await User.countDocuments({ role: 'owner', active: true });
+  return ownerCount <= 1;
+};
+
+// POST /api/auth/login - 로그인
+router.post('/login', loginLimiter, auditUser('auth.login'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: '이메일과 비밀번호를 입력해주세요.'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash');
+    const valid = user && user.active && await user.verifyPassword(password);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: '이메일 또는 비밀번호가 올바르지 않습니다.'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    res.locals.auditTargetId = user._id;
+
+    res.json({
+      success: true,
+      data: {
+        token: signToken(user),
+        user
+      },
+      message: '로그인되었습니다.'
+    });
+  } catch (error) {
+    console.error('로그인 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '로그인 처리 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/auth/me - 현재 로그인한 사용자 정보
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// PUT /api/auth/password - 본인 비밀번호 변경
+router.put('/password', requireAuth, auditUser('auth.password_change', {
+  targetId: (req) => req.user._id.toString(),
+  load: null
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+passwordHash');
+
+    if (!await user.verifyPassword(currentPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: '현재 비밀번호가 올바르지 않습니다.'
+      });
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: '비밀번호가 변경되었습니다.'
+    });
+  } catch (error) {
+    console.error('비밀번호 변경 오류:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/auth/users - 관리자 계정 목록 (owner)
+router.get('/users', authorize('owner'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('계정 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '계정 목록 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/users - 관리자 계정 생성 (owner)
+router.post('/users', auditUser('user.create'), authorize('owner'), async (req, res) => {
+  try {
+    const { email, name, password, role = 'viewer' } = req.body;
+
+    const user = new User({ email, name, role });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: '계정이 생성되었습니다.'
+    });
+  } catch (error) {
+    console.error('계정 생성 오류:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({
+        success: false,
+        error: '입력 데이터가 올바르지 않습니다.',
+        details: validationErrors
+      });
+    } else if (error.code === 11000) {
+      res.status(409).json({
+        success: false,
+        error: '이미 등록된 이메일입니다.'
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
+// PUT /api/auth/users/:id - 역할/상태/비밀번호 변경 (owner)
+router.put('/users/:id', auditUser('user.update'), authorize('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, active, password } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 계정 ID입니다.'
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: '계정을 찾을 수 없습니다.'
+      });
+    }
+
+    const demoting = (role !== undefined && role !== 'owner') || active === false;
+    if (demoting && await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: '마지막 owner 계정의 권한은 변경할 수 없습니다.'
+      });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: '유효하지 않은 역할입니다.'
+        });
+      }
+      user.role = role;
+    }
+    if (active !== undefined) user.active = active === true || active === 'true';
+    if (password) await user.setPassword(password);
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user,
+      message: '계정이 수정되었습니다.'
+    });
+  } catch (error) {
+    console.error('계정 수정 오류:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/auth/users/:id - 계정 삭제 (owner)
+router.delete('/users/:id', auditUser('user.delete'), authorize('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 계정 ID입니다.'
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: '계정을 찾을 수 없습니다.'
+      });
+    }
+
+    if (await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: '마지막 owner 계정은 삭제할 수 없습니다.'
+      });
+    }
+
+    await User.findByIdAndDelete(id);
+
+    res.json({
+      success: true,
+      message: '계정이 삭제되었습니다.',
+      data: { id }
+    });
+  } catch (error) {
+    console.error('계정 삭제 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '계정 삭제 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
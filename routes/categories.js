@@ -0,0 +1,298 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Category } = require('../models/Category');
+const { Portfolio } = require('../models/Portfolio');
+const { authorize, optionalAuth } = require('../middleware/auth');
+const { audit, recordAuditEvent } = require('../middleware/audit');
+const { negotiateLocale } = require('../middleware/locale');
+const { TRANSLATED_LOCALES, getCategoryLabel } = require('../services/i18n');
+const { saveCategory, mergeCategories, getCategoryUsage } = require('../services/categories');
+
+const router = express.Router();
+
+// 수정 가능한 필드
+const EDITABLE_FIELDS = ['name', 'description', 'color', 'icon', 'order', 'projectTypes'];
+
+// 감사 로그용 카테고리 상태 조회
+const auditCategory = (action) => audit(action, {
+  target: 'category',
+  load: (id) => Category.findById(id)
+});
+
+// ID 확인 후 카테고리 조회 - 없으면 응답 후 null 반환
+const findCategoryOr404 = async (req, res, id = req.params.id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: '잘못된 카테고리 ID입니다.'
+    });
+    return null;
+  }
+
+  const category = await Category.findById(id);
+
+  if (!category) {
+    res.status(404).json({
+      success: false,
+      error: '카테고리를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return category;
+};
+
+// 요청 본문을 카테고리에 반영 - 보내지 않은 필드는 유지
+// 잘못된 상위 카테고리 ID면 응답 후 false 반환
+const applyBody = (category, body, res) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) category.set(field, body[field]);
+  });
+
+  if (body.labels && typeof body.labels === 'object') {
+    TRANSLATED_LOCALES.forEach(locale => {
+      if (body.labels[locale] !== undefined) category.set(`labels.${locale}`, body.labels[locale]);
+    });
+  }
+
+  if (body.parent !== undefined) {
+    const parent = body.parent || null;
+    if (parent && !mongoose.Types.ObjectId.isValid(parent)) {
+      res.status(400).json({
+        success: false,
+        error: '잘못된 상위 카테고리 ID입니다.'
+      });
+      return false;
+    }
+    category.parent = parent;
+  }
+  return true;
+};
+
+// 카테고리 이름 변경/병합으로 바뀐 포트폴리오별 감사 로그
+const auditPortfolioChanges = (req, changes) => {
+  return Promise.all(changes.map(({ portfolio, from, to }) => recordAuditEvent(req, {
+    action: 'portfolio.category_change',
+    targetType: 'portfolio',
+    targetId: String(portfolio._id),
+    changedFields: ['category'],
+    before: { category: from },
+    after: { category: to }
+  })));
+};
+
+const sendSaveError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      error: '입력 데이터가 올바르지 않습니다.',
+      details: validationErrors
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: '이미 사용 중인 카테고리 이름입니다.'
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+};
+
+// GET /api/categories - 카테고리 목록 (표시 순서대로, label은 요청 언어 이름)
+// portfolioCount: 카테고리별 포트폴리오 수 (로그인하지 않았으면 공개 포트폴리오만)
+router.get('/', optionalAuth, negotiateLocale, async (req, res) => {
+  try {
+    const match = req.user ? { deletedAt: null } : Portfolio.publicFilter();
+    const [categories, counts] = await Promise.all([
+      Category.findOrdered(),
+      Portfolio.aggregate([
+        { $match: match },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const portfolioCounts = {};
+    counts.forEach(item => { portfolioCounts[item._id] = item.count; });
+
+    res.json({
+      success: true,
+      data: categories.map(category => Object.assign(category.toJSON(), {
+        label: getCategoryLabel(category, req.locale),
+        portfolioCount: portfolioCounts[category.name] || 0
+      }))
+    });
+  } catch (error) {
+    console.error('카테고리 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '카테고리 목록 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/categories - 카테고리 생성 (order를 생략하면 마지막 순서)
+router.post('/', auditCategory('category.create'), authorize('editor'), async (req, res) => {
+  try {
+    const category = new Category();
+    if (!applyBody(category, req.body, res)) return;
+
+    await saveCategory(category, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: '카테고리가 생성되었습니다.'
+    });
+  } catch (error) {
+    console.error('카테고리 생성 오류:', error);
+    sendSaveError(res, error, '카테고리 생성 중 오류가 발생했습니다.');
+  }
+});
+
+// PUT /api/categories/order - 표시 순서 변경 (order: 전체 카테고리 ID 배열)
+router.put('/order', audit('category.reorder', { target: 'category' }), authorize('editor'), async (req, res) => {
+  try {
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const current = (await Category.find().select('_id')).map(category => category._id.toString());
+
+    if (order.length !== current.length || new Set(order).size !== order.length || !order.every(id => current.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'order에는 모든 카테고리 ID를 한 번씩 지정해야 합니다.'
+      });
+    }
+
+    await Category.bulkWrite(order.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index } } }
+    })));
+
+    res.json({
+      success: true,
+      data: await Category.findOrdered(),
+      message: '카테고리 순서가 변경되었습니다.'
+    });
+  } catch (error) {
+    console.error('카테고리 순서 변경 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '카테고리 순서 변경 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/categories/:id - 카테고리 조회
+router.get('/:id', negotiateLocale, async (req, res) => {
+  try {
+    const category = await findCategoryOr404(req, res);
+    if (!category) return;
+
+    res.json({
+      success: true,
+      data: Object.assign(category.toJSON(), { label: getCategoryLabel(category, req.locale) })
+    });
+  } catch (error) {
+    console.error('카테고리 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '카테고리 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/categories/:id - 카테고리 수정 (이름을 바꾸면 해당 카테고리의 포트폴리오도 변경)
+router.put('/:id', auditCategory('category.update'), authorize('editor'), async (req, res) => {
+  try {
+    const category = await findCategoryOr404(req, res);
+    if (!category) return;
+    if (!applyBody(category, req.body, res)) return;
+
+    const changes = await saveCategory(category, req.user);
+    await auditPortfolioChanges(req, changes);
+
+    res.json({
+      success: true,
+      data: category,
+      updatedPortfolios: changes.length,
+      message: '카테고리가 수정되었습니다.'
+    });
+  } catch (error) {
+    console.error('카테고리 수정 오류:', error);
+    sendSaveError(res, error, '카테고리 수정 중 오류가 발생했습니다.');
+  }
+});
+
+// POST /api/categories/:id/merge - 다른 카테고리로 병합 (into: 대상 카테고리 ID)
+// 포트폴리오와 하위 카테고리를 대상으로 옮기고 이 카테고리는 삭제
+router.post('/:id/merge', auditCategory('category.merge'), authorize('owner'), async (req, res) => {
+  try {
+    const source = await findCategoryOr404(req, res);
+    if (!source) return;
+    const target = await findCategoryOr404(req, res, String(req.body.into || ''));
+    if (!target) return;
+
+    if (source._id.equals(target._id) || await Category.isDescendant(target._id, source._id)) {
+      return res.status(400).json({
+        success: false,
+        error: '자기 자신이나 하위 카테고리로는 병합할 수 없습니다.'
+      });
+    }
+
+    const changes = await mergeCategories(source, target, req.user);
+    await auditPortfolioChanges(req, changes);
+
+    res.json({
+      success: true,
+      data: await Category.findById(target._id),
+      updatedPortfolios: changes.length,
+      message: `'${source.name}' 카테고리가 '${target.name}' 카테고리로 병합되었습니다.`
+    });
+  } catch (error) {
+    console.error('카테고리 병합 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '카테고리 병합 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/categories/:id - 카테고리 삭제 (포트폴리오나 하위 카테고리가 있으면 409, 병합 사용)
+router.delete('/:id', auditCategory('category.delete'), authorize('owner'), async (req, res) => {
+  try {
+    const category = await findCategoryOr404(req, res);
+    if (!category) return;
+
+    const usage = await getCategoryUsage(category);
+    if (usage.portfolios > 0 || usage.children > 0) {
+      return res.status(409).json({
+        success: false,
+        error: '포트폴리오나 하위 카테고리가 있는 카테고리는 삭제할 수 없습니다. 다른 카테고리로 병합해주세요.',
+        usage
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: '카테고리가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('카테고리 삭제 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '카테고리 삭제 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { connectDB } = require('../config/database');
+const { Inquiry } = require('../models/Inquiry');
+const { sendInquiryNotification, sendInquiryAutoReply } = require('../services/mail/inquiry');
+const { normalizeLocale, SUPPORTED_LOCALES } = require('../services/mail/templates');
+const { guardContactForm, issueFormToken, REJECTION_RESPONSES } = require('../middleware/spamGuard');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// GET /api/send-email/token - 폼 작성 시간 확인용 토큰 발급
+router.get('/token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: { token: issueFormToken() }
+  });
+});
+
+// POST /api/send-email - 문의 저장 및 알림 메일 발송
+// 스팸 검사를 통과한 제출만 감사 로그에 기록 (거부된 제출은 RejectedSubmission)
+router.post('/', guardContactForm, audit('inquiry.submit', { target: 'inquiry' }), async (req, res) => {
+  const { company, name, phone, email, project_type, message, lang } = req.body;
+
+  const inquiry = new Inquiry({
+    company,
+    name,
+    phone,
+    email,
+    projectType: project_type,
+    message,
+    locale: normalizeLocale(lang || req.acceptsLanguages(SUPPORTED_LOCALES)),
+    messageHash: req.messageHash,
+    formTokenId: req.formTokenId,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || ''
+  });
+
+  // 문의를 먼저 저장 - 메일 발송이 실패해도 문의는 관리자 문의함에 남음
+  let saved = false;
+  try {
+    await connectDB();
+    await inquiry.save();
+    saved = true;
+    res.locals.auditTargetId = inquiry._id;
+  } catch (error) {
+    console.error('문의 저장 오류:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: '입력 데이터가 올바르지 않습니다.',
+        details: validationErrors
+      });
+    }
+
+    // 같은 토큰으로 동시에 제출된 경우 - 먼저 저장된 문의만 처리
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.formTokenId) {
+      const [status, message] = REJECTION_RESPONSES.token_reused;
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+  }
+
+  // 발송 실패 시 outbox 대기열에서 재시도되므로 여기서는 대기열 등록 여부만 확인
+  let queued = false;
+  const mailOptions = { inquiry: saved ? inquiry._id : null };
+  try {
+    await sendInquiryNotification(inquiry, mailOptions);
+    queued = true;
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+
+  // 문의자 자동 응답 - 실패해도 문의 접수 결과에는 영향 없음
+  try {
+    await sendInquiryAutoReply(inquiry, mailOptions);
+  } catch (error) {
+    console.error('자동 응답 메일 발송 오류:', error);
+  }
+
+  if (!saved && !queued) {
+    return res.status(500).json({
+      success: false,
+      message: '문의 전송에 실패했습니다.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '문의가 성공적으로 전송되었습니다!'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { Portfolio } = require('../models/Portfolio');
+const { Category } = require('../models/Category');
+const { getSiteUrl } = require('../services/pages');
+const {
+  FEED_LIMIT,
+  FEED_FORMATS,
+  getLastModified,
+  renderSitemap,
+  renderRssFeed,
+  renderAtomFeed,
+  renderJsonFeed
+} = require('../services/feeds');
+
+const router = express.Router();
+
+// 사이트맵에 포함할 최대 프로젝트 수 (사이트맵 파일 하나의 URL 제한보다 작게)
+const SITEMAP_LIMIT = 10000;
+
+// 크롤러와 피드 리더는 자주 가져가므로 CDN에서 더 길게 캐시
+const FEED_CACHE_CONTROL = 'public, max-age=300, s-maxage=600, stale-while-revalidate=3600';
+
+// 내용과 Last-Modified 전송 - If-None-Match/If-Modified-Since가 맞으면 res.send가 304로 응답
+const sendFeed = (res, type, body, lastModified) => {
+  res.set('Cache-Control', FEED_CACHE_CONTROL).type(type);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  res.send(body);
+};
+
+const sendUnavailable = (res) => {
+  res.status(503)
+    .set('Cache-Control', 'no-store')
+    .type('text')
+    .send('프로젝트 정보를 불러오지 못했습니다. 잠시 후 다시 시도해주세요.');
+};
+
+// 피드 필터 - ?category=AI/ML,IoT (여러 개 가능), ?featured=true (추천 프로젝트만)
+// categoryNames: 등록된 카테고리 이름, 없는 카테고리면 null
+const parseFeedFilters = (query, categoryNames) => {
+  const category = [].concat(query.category || [])
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  if (category.some(item => !categoryNames.includes(item))) return null;
+
+  return { category, featured: query.featured === 'true' };
+};
+
+// GET /robots.txt - 사이트맵 위치 안내, 관리자 패널과 API는 색인 제외
+router.get('/robots.txt', (req, res) => {
+  res.set('Cache-Control', FEED_CACHE_CONTROL)
+    .type('text')
+    .send([
+      'User-agent: *',
+      'Disallow: /admin.html',
+      'Disallow: /api/',
+      '',
+      `Sitemap: ${getSiteUrl(req)}/sitemap.xml`,
+      ''
+    ].join('\n'));
+});
+
+// GET /sitemap.xml - 메인 페이지와 게시 중인 프로젝트 페이지 (lastmod는 updatedAt)
+router.get('/sitemap.xml', async (req, res) => {
+  if (req.databaseError) return sendUnavailable(res);
+
+  try {
+    const portfolios = await Portfolio.find(Portfolio.publicFilter())
+      .select('slug featured updatedAt')
+      .sort({ featured: -1, updatedAt: -1 })
+      .limit(SITEMAP_LIMIT);
+
+    sendFeed(res, 'application/xml; charset=utf-8', renderSitemap({ portfolios, siteUrl: getSiteUrl(req) }),
+      getLastModified(portfolios));
+  } catch (error) {
+    console.error('사이트맵 생성 오류:', error);
+    sendUnavailable(res);
+  }
+});
+
+// 피드 형식별 핸들러 - 게시 중인 프로젝트를 게시일 최신순으로
+const handleFeed = (format, render) => async (req, res) => {
+  if (req.databaseError) return sendUnavailable(res);
+
+  try {
+    const categoryNames = (await Category.findOrdered().select('name')).map(category => category.name);
+    const filters = parseFeedFilters(req.query, categoryNames);
+    if (!filters) {
+      return res.status(400)
+        .type('text')
+        .send(`알 수 없는 카테고리입니다. 사용 가능한 카테고리: ${categoryNames.join(', ')}`);
+    }
+
+    // 상위 카테고리 피드는 하위 카테고리 프로젝트도 포함
+    const portfolios = await Portfolio.find(Portfolio.buildFilterQuery({
+      publicOnly: true,
+      category: filters.category.length > 0 ? await Category.expandNames(filters.category) : undefined,
+      featured: filters.featured || undefined
+    }))
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(FEED_LIMIT);
+
+    const body = render({ portfolios, siteUrl: getSiteUrl(req), filters });
+    sendFeed(res, FEED_FORMATS[format].type, format === 'json' ? JSON.stringify(body) : body,
+      getLastModified(portfolios));
+  } catch (error) {
+    console.error('피드 생성 오류:', error);
+    sendUnavailable(res);
+  }
+};
+
+// GET /feed.xml (RSS), /feed.atom (Atom), /feed.json (JSON Feed)
+router.get(FEED_FORMATS.rss.path, handleFeed('rss', renderRssFeed));
+router.get(FEED_FORMATS.atom.path, handleFeed('atom', renderAtomFeed));
+router.get(FEED_FORMATS.json.path, handleFeed('json', renderJsonFeed));
+
+module.exports = router;
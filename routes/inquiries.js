@@ -0,0 +1,323 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Inquiry, INQUIRY_STATUSES } = require('../models/Inquiry');
+const { User } = require('../models/User');
+const { RejectedSubmission, REJECTION_REASONS } = require('../models/RejectedSubmission');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 감사 로그용 문의 상태 조회
+const auditInquiry = (action) => audit(action, {
+  target: 'inquiry',
+  load: (id) => Inquiry.findById(id)
+});
+
+// 담당자/메모 작성자 정보 포함하여 조회
+const populateUsers = (query) => {
+  return query
+    .populate('assignee', 'name email role')
+    .populate('notes.author', 'name email')
+    .populate('statusHistory.changedBy', 'name email');
+};
+
+// ID 확인 후 문의 조회 - 없으면 응답 후 null 반환
+const findInquiryOr404 = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: '잘못된 문의 ID입니다.'
+    });
+    return null;
+  }
+
+  const inquiry = await Inquiry.findById(id);
+
+  if (!inquiry) {
+    res.status(404).json({
+      success: false,
+      error: '문의를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return inquiry;
+};
+
+// GET /api/admin/inquiries - 문의 목록 조회
+router.get('/', authorize('viewer'), async (req, res) => {
+  try {
+    const { status, assignee, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = { $in: status.split(',') };
+    if (assignee === 'none') {
+      query.assignee = null;
+    } else if (assignee === 'me') {
+      query.assignee = req.user._id;
+    } else if (assignee && mongoose.Types.ObjectId.isValid(assignee)) {
+      query.assignee = assignee;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { company: pattern },
+        { name: pattern },
+        { email: pattern },
+        { message: pattern }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [inquiries, totalItems, statusCounts] = await Promise.all([
+      populateUsers(Inquiry.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit))),
+      Inquiry.countDocuments(query),
+      Inquiry.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+    const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+    const counts = {};
+    INQUIRY_STATUSES.forEach(value => { counts[value] = 0; });
+    statusCounts.forEach(item => { counts[item._id] = item.count; });
+
+    res.json({
+      success: true,
+      data: inquiries,
+      statusCounts: counts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems,
+        itemsPerPage: parseInt(limit),
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('문의 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '문의 목록 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/inquiries/assignees - 배정 가능한 담당자 목록
+router.get('/assignees', authorize('viewer'), async (req, res) => {
+  try {
+    const users = await User.find({ active: true, role: { $in: ['editor', 'owner'] } })
+      .select('name email role')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('담당자 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '담당자 목록 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/inquiries/rejected - 거부된 제출 기록 (스팸 규칙 조정용)
+router.get('/rejected', authorize('viewer'), async (req, res) => {
+  try {
+    const { reason, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (reason) query.reason = { $in: reason.split(',') };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [submissions, totalItems, reasonCounts] = await Promise.all([
+      RejectedSubmission.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      RejectedSubmission.countDocuments(query),
+      RejectedSubmission.aggregate([
+        { $group: { _id: '$reason', count: { $sum: 1 } } }
+      ])
+    ]);
+    const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+    const counts = {};
+    REJECTION_REASONS.forEach(value => { counts[value] = 0; });
+    reasonCounts.forEach(item => { counts[item._id] = item.count; });
+
+    res.json({
+      success: true,
+      data: submissions,
+      reasonCounts: counts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems,
+        itemsPerPage: parseInt(limit),
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('거부된 문의 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '거부된 문의 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/inquiries/:id - 문의 상세 조회
+router.get('/:id', authorize('viewer'), async (req, res) => {
+  try {
+    const inquiry = await findInquiryOr404(req, res);
+    if (!inquiry) return;
+
+    res.json({
+      success: true,
+      data: await populateUsers(Inquiry.findById(inquiry._id))
+    });
+  } catch (error) {
+    console.error('문의 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '문의 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/inquiries/:id - 상태/담당자 변경
+router.put('/:id', auditInquiry('inquiry.update'), authorize('editor'), async (req, res) => {
+  try {
+    const { status, assignee } = req.body;
+
+    const inquiry = await findInquiryOr404(req, res);
+    if (!inquiry) return;
+
+    if (status !== undefined) {
+      if (!INQUIRY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: '유효하지 않은 문의 상태입니다.'
+        });
+      }
+      if (status !== inquiry.status && !inquiry.canTransitionTo(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `'${inquiry.status}' 상태에서 '${status}' 상태로 변경할 수 없습니다.`
+        });
+      }
+      inquiry.changeStatus(status, req.user);
+    }
+
+    if (assignee !== undefined) {
+      if (!assignee) {
+        inquiry.assignee = null;
+      } else {
+        const assigneeUser = mongoose.Types.ObjectId.isValid(assignee) ?
+          await User.findOne({ _id: assignee, active: true }) :
+          null;
+        if (!assigneeUser) {
+          return res.status(400).json({
+            success: false,
+            error: '담당자를 찾을 수 없습니다.'
+          });
+        }
+        inquiry.assignee = assigneeUser._id;
+      }
+    }
+
+    await inquiry.save();
+
+    res.json({
+      success: true,
+      data: await populateUsers(Inquiry.findById(inquiry._id)),
+      message: '문의가 업데이트되었습니다.'
+    });
+  } catch (error) {
+    console.error('문의 업데이트 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '문의 업데이트 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/inquiries/:id/notes - 내부 메모 추가
+router.post('/:id/notes', auditInquiry('inquiry.note'), authorize('editor'), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: '메모 내용을 입력해주세요.'
+      });
+    }
+
+    const inquiry = await findInquiryOr404(req, res);
+    if (!inquiry) return;
+
+    inquiry.addNote(String(body), req.user);
+    await inquiry.save();
+
+    res.status(201).json({
+      success: true,
+      data: await populateUsers(Inquiry.findById(inquiry._id)),
+      message: '메모가 추가되었습니다.'
+    });
+  } catch (error) {
+    console.error('메모 추가 오류:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({
+        success: false,
+        error: '입력 데이터가 올바르지 않습니다.',
+        details: validationErrors
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: '메모 추가 중 오류가 발생했습니다.',
+        message: error.message
+      });
+    }
+  }
+});
+
+// DELETE /api/admin/inquiries/:id - 문의 삭제 (owner)
+router.delete('/:id', auditInquiry('inquiry.delete'), authorize('owner'), async (req, res) => {
+  try {
+    const inquiry = await findInquiryOr404(req, res);
+    if (!inquiry) return;
+
+    await Inquiry.findByIdAndDelete(inquiry._id);
+
+    res.json({
+      success: true,
+      message: '문의가 삭제되었습니다.',
+      data: { id: inquiry._id }
+    });
+  } catch (error) {
+    console.error('문의 삭제 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '문의 삭제 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
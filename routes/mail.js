@@ -0,0 +1,115 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MailJob, MAIL_JOB_STATUSES } = require('../models/MailJob');
+const { processQueue, requeueJob } = require('../services/mail');
+const { authorize, authorizeOrCron } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// 대기열 처리 - Vercel Cron(GET) 또는 관리자 수동 실행(POST)
+const handleProcess = async (req, res) => {
+  try {
+    const results = await processQueue({ limit: parseInt(req.query.limit) || 20 });
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('메일 대기열 처리 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '메일 대기열 처리 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+};
+
+router.get('/process', audit('mail.process'), authorizeOrCron('editor'), handleProcess);
+router.post('/process', audit('mail.process'), authorizeOrCron('editor'), handleProcess);
+
+// GET /api/admin/mail - outbox 목록 조회
+router.get('/', authorize('viewer'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = { $in: status.split(',') };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [jobs, totalItems, statusCounts] = await Promise.all([
+      MailJob.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      MailJob.countDocuments(query),
+      MailJob.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+    const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+    const counts = {};
+    MAIL_JOB_STATUSES.forEach(value => { counts[value] = 0; });
+    statusCounts.forEach(item => { counts[item._id] = item.count; });
+
+    res.json({
+      success: true,
+      data: jobs,
+      statusCounts: counts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems,
+        itemsPerPage: parseInt(limit),
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('메일 outbox 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '메일 outbox 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/mail/:id/retry - 실패한 메일 재발송 대기열 등록
+router.post('/:id/retry', audit('mail.retry', {
+  target: 'mail',
+  load: (id) => MailJob.findById(id).select('-message')
+}), authorize('editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 메일 ID입니다.'
+      });
+    }
+
+    const job = await requeueJob(id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: '재시도할 수 있는 메일을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: '메일이 재발송 대기열에 등록되었습니다.'
+    });
+  } catch (error) {
+    console.error('메일 재시도 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '메일 재시도 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
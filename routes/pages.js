@@ -0,0 +1,99 @@
+const express = require('express');
+const { Portfolio } = require('../models/Portfolio');
+const { Category } = require('../models/Category');
+const { getSiteUrl, renderIndexPage, renderProjectPage, renderErrorPage } = require('../services/pages');
+
+const router = express.Router();
+
+// 메인 페이지에 표시할 최대 포트폴리오 수
+const MAX_PORTFOLIOS = 100;
+// 프로젝트 페이지의 다른 프로젝트 수
+const RELATED_COUNT = 3;
+// 슬러그는 ObjectId 형태가 될 수 없으므로 (services/slugs.js) ID로 조회
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+// CDN 캐시 - 관리자 수정 내용이 1분 안에 반영되도록 짧게 유지
+const PAGE_CACHE_CONTROL = 'public, max-age=0, s-maxage=60, stale-while-revalidate=300';
+
+const sendPage = (res, html, status = 200) => {
+  res.status(status)
+    .set('Cache-Control', status === 200 ? PAGE_CACHE_CONTROL : 'no-store')
+    .type('html')
+    .send(html);
+};
+
+const sendUnavailable = (res) => {
+  sendPage(res, renderErrorPage({
+    heading: '잠시 후 다시 시도해주세요',
+    message: '프로젝트 정보를 불러오지 못했습니다.'
+  }), 503);
+};
+
+// GET / - 메인 페이지 (공개 포트폴리오 그리드를 DB에서 렌더링)
+// DB에 연결할 수 없으면 그리드 대신 안내 문구를 표시하고 나머지 내용은 그대로 제공
+router.get('/', async (req, res) => {
+  let portfolios = [];
+  let categories = [];
+  let error = req.databaseError || null;
+
+  if (!error) {
+    try {
+      [portfolios, categories] = await Promise.all([
+        Portfolio.findWithFilters({ publicOnly: true }).limit(MAX_PORTFOLIOS),
+        Category.findOrdered()
+      ]);
+    } catch (findError) {
+      console.error('메인 페이지 포트폴리오 조회 오류:', findError);
+      error = findError;
+    }
+  }
+
+  sendPage(res, renderIndexPage({ portfolios, categories, siteUrl: getSiteUrl(req), error }), error ? 503 : 200);
+});
+
+// 정적 파일이던 시기의 주소
+router.get('/index.html', (req, res) => {
+  res.redirect(301, '/');
+});
+
+// GET /projects/:slug - 프로젝트 페이지 (게시 중인 포트폴리오만)
+// 이전 슬러그나 포트폴리오 ID로 들어오면 현재 주소로 영구 이동
+router.get('/projects/:slug', async (req, res) => {
+  if (req.databaseError) return sendUnavailable(res);
+
+  try {
+    const publicFilter = Portfolio.publicFilter();
+    // 피드 항목 ID(/projects/:id)처럼 포트폴리오 ID로 들어오면 슬러그 주소로 이동
+    const portfolio = OBJECT_ID_PATTERN.test(req.params.slug)
+      ? await Portfolio.findOne(Object.assign({ _id: req.params.slug }, publicFilter))
+      : await Portfolio.findBySlug(req.params.slug, publicFilter);
+
+    if (!portfolio) {
+      return sendPage(res, renderErrorPage({
+        heading: '프로젝트를 찾을 수 없습니다',
+        message: '주소가 바뀌었거나 더 이상 공개되지 않는 프로젝트입니다.'
+      }), 404);
+    }
+
+    if (portfolio.slug !== req.params.slug) {
+      return res.redirect(301, portfolio.pageUrl);
+    }
+
+    const [related, categories] = await Promise.all([
+      Portfolio.find(Object.assign({
+        _id: { $ne: portfolio._id },
+        category: portfolio.category
+      }, publicFilter))
+        .sort({ featured: -1, createdAt: -1 })
+        .limit(RELATED_COUNT),
+      Category.findOrdered()
+    ]);
+
+    sendPage(res, renderProjectPage({ portfolio, related, categories, siteUrl: getSiteUrl(req) }));
+  } catch (error) {
+    console.error('프로젝트 페이지 오류:', error);
+    sendUnavailable(res);
+  }
+});
+
+module.exports = router;
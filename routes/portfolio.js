@@ -1,19 +1,361 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { Portfolio } = require('../models/Portfolio');
+const { Portfolio, TAG_MODES, PORTFOLIO_STATUSES, MAX_MEDIA } = require('../models/Portfolio');
+const { Category } = require('../models/Category');
 const { 
   upload, 
-  saveToGridFS, 
-  getFromGridFS, 
-  deleteFromGridFS,
-  encodeImageToBase64,
-  decodeBase64Image,
+  uploadMedia,
+  saveUpload,
+  saveImage, 
+  openFileStream, 
   getFileInfo 
 } = require('../middleware/upload');
+const { isNotFoundError } = require('../services/storage');
+const { authorize, authorizeOrCron, optionalAuth } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { negotiateLocale } = require('../middleware/locale');
+const { buildSuggestions } = require('../services/search');
+const {
+  TRANSLATED_LOCALES,
+  TRANSLATABLE_FIELDS,
+  localizeContent,
+  localizePortfolio,
+  getCategoryLabel,
+  localizedTagsExpression
+} = require('../services/i18n');
+const { parseImageQuery, selectVariant } = require('../services/images');
+const { MAX_IMAGE_SIZE, MAX_VIDEO_SIZE, parseYouTubeId } = require('../services/media');
+const { inspectUpload, isInvalidUploadError } = require('../services/uploadValidation');
+const { decodeImage, saveDecodedImage, moveBase64Image } = require('../services/base64Images');
+const { processSchedule } = require('../services/publishing');
+const { TRASH_RETENTION_DAYS, getPurgeAt, purgePortfolio, purgeExpired } = require('../services/trash');
+const { collectOrphanFiles } = require('../services/orphanFiles');
+const { PortfolioRevision } = require('../models/PortfolioRevision');
+const { takeSnapshot, diffSnapshots, recordRevision, applySnapshot } = require('../services/revisions');
 
 const router = express.Router();
 
-// 이미지 서빙 엔드포인트 (GridFS)
+// 쉼표로 구분된 목록 파라미터
+const parseList = (value) => {
+  return [].concat(value || [])
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// 번역 입력 - 폼 필드(translations[en][title]) 또는 JSON 객체 ({ en: { title, description, tags } })
+// 보낸 언어/필드만 반환, 태그는 배열 또는 쉼표로 구분된 문자열
+const parseTranslations = (value) => {
+  if (!value || typeof value !== 'object') return {};
+
+  return TRANSLATED_LOCALES.reduce((translations, locale) => {
+    const content = value[locale];
+    if (!content || typeof content !== 'object') return translations;
+
+    translations[locale] = {};
+    TRANSLATABLE_FIELDS.forEach(field => {
+      if (content[field] === undefined) return;
+      translations[locale][field] = field === 'tags' ? parseList(content[field]) : String(content[field]);
+    });
+    return translations;
+  }, {});
+};
+
+// 기간 파라미터 (YYYY, YYYY-MM, YYYY-MM-DD 또는 ISO 날짜)
+// endOfPeriod가 true이면 해당 연/월/일의 마지막 시각 반환, 형식이 잘못되면 null
+// 연도 패싯($year)과 맞추기 위해 UTC 기준
+const parseDateParam = (value, endOfPeriod = false) => {
+  const text = String(value).trim();
+  const partial = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(text);
+
+  if (partial) {
+    const year = parseInt(partial[1]);
+    const month = partial[2] ? parseInt(partial[2]) - 1 : null;
+    const day = partial[3] ? parseInt(partial[3]) : null;
+
+    if (!endOfPeriod) {
+      return new Date(Date.UTC(year, month || 0, day || 1));
+    }
+    if (day) return new Date(Date.UTC(year, month, day + 1, 0, 0, 0, -1));
+    if (month !== null) return new Date(Date.UTC(year, month + 1, 1, 0, 0, 0, -1));
+    return new Date(Date.UTC(year + 1, 0, 1, 0, 0, 0, -1));
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// 감사 로그용 포트폴리오 상태 조회
+const auditPortfolio = (action) => audit(action, {
+  target: 'portfolio',
+  load: (id) => Portfolio.findById(id)
+});
+
+// 로그인한 관리자는 작성 중/예약/보관 항목도 조회 가능
+const canViewUnpublished = (req) => Boolean(req.user);
+
+// 리비전 기록 - 실패해도 저장된 변경은 유지
+const saveRevision = async (portfolio, options) => {
+  try {
+    return await recordRevision(portfolio, options);
+  } catch (error) {
+    console.error('리비전 기록 오류:', error);
+    return null;
+  }
+};
+
+// ID 확인 후 포트폴리오 조회 (휴지통 항목 제외) - 없으면 응답 후 null 반환
+const findPortfolioOr404 = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: '잘못된 포트폴리오 ID입니다.'
+    });
+    return null;
+  }
+
+  const portfolio = await Portfolio.findById(id);
+
+  if (!portfolio || portfolio.deletedAt) {
+    res.status(404).json({
+      success: false,
+      error: '포트폴리오를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return portfolio;
+};
+
+// 리비전 번호로 조회 - 없으면 응답 후 null 반환
+const findRevisionOr404 = async (res, portfolio, number) => {
+  const revision = await PortfolioRevision.findOne({ portfolio: portfolio._id, number: parseInt(number) })
+    .populate('author', 'name email');
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      error: `리비전 ${number}을(를) 찾을 수 없습니다.`
+    });
+    return null;
+  }
+
+  return revision;
+};
+
+// Base64 이미지 디코딩 - 잘못된 데이터면 400 응답 후 null 반환
+const decodeImageOr400 = (res, imageBase64) => {
+  try {
+    return decodeImage(imageBase64);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: '입력 데이터가 올바르지 않습니다.',
+      details: [error.message]
+    });
+    return null;
+  }
+};
+
+// 업로드 파일 검사 실패(형식 위장, 해상도 초과, 스크립트가 있는 SVG 등)면 400 응답 후 true 반환
+const handleInvalidUpload = (error, res) => {
+  if (!isInvalidUploadError(error)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: '입력 데이터가 올바르지 않습니다.',
+    details: [error.message]
+  });
+  return true;
+};
+
+// 버전 기반 ETag
+const getETag = (portfolio) => `"${portfolio.version}"`;
+
+// 버전 충돌 - 현재 서버 데이터와 함께 412 응답
+const sendVersionConflict = (res, portfolio) => {
+  res.set('ETag', getETag(portfolio));
+  return res.status(412).json({
+    success: false,
+    error: '다른 사용자가 먼저 수정했습니다. 최신 내용을 확인한 뒤 다시 저장해주세요.',
+    data: portfolio,
+    currentVersion: portfolio.version
+  });
+};
+
+// If-Match 확인 - 헤더가 없으면 통과, 버전이 다르면 412 응답 후 false 반환
+const checkIfMatch = (req, res, portfolio) => {
+  const header = req.get('If-Match');
+  if (!header) return true;
+
+  const tags = header.split(',').map(tag => tag.trim());
+  if (tags.includes('*') || tags.includes(getETag(portfolio))) return true;
+
+  sendVersionConflict(res, portfolio);
+  return false;
+};
+
+// 확인 후 저장 전에 다른 요청이 먼저 저장한 경우 (save 시 버전 조건 불일치)
+// 최신 데이터로 412 응답 - 응답했으면 true 반환
+const handleSaveConflict = async (error, req, res) => {
+  if (error.name !== 'DocumentNotFoundError') return false;
+
+  try {
+    const current = await Portfolio.findById(req.params.id);
+    if (!current || current.deletedAt) {
+      res.status(404).json({
+        success: false,
+        error: '포트폴리오를 찾을 수 없습니다.'
+      });
+    } else {
+      sendVersionConflict(res, current);
+    }
+    return true;
+  } catch (loadError) {
+    console.error('포트폴리오 재조회 오류:', loadError);
+    return false;
+  }
+};
+
+// 파일이 없는 경우와 저장소(DB, S3 등) 장애 구분
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'];
+const isStorageUnavailable = (error) => {
+  return /^Mongo/.test(error.name) ||
+    mongoose.connection.readyState !== 1 ||
+    NETWORK_ERROR_CODES.includes(error.code) ||
+    error.name === 'TimeoutError' ||
+    Boolean(error.$metadata && error.$metadata.httpStatusCode >= 500);
+};
+
+// 스트림을 열거나 읽는 중 오류 응답 (이미 전송을 시작했으면 연결 종료)
+const sendStreamError = (res, error) => {
+  console.error('이미지 전송 오류:', error);
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  res.removeHeader('Content-Length');
+  res.removeHeader('Content-Range');
+  // 정보 조회 후 파일이 삭제된 경우
+  if (isNotFoundError(error)) {
+    return res.status(404).json({
+      success: false,
+      error: '이미지를 찾을 수 없습니다.'
+    });
+  }
+  res.status(isStorageUnavailable(error) ? 503 : 500).json({
+    success: false,
+    error: '이미지를 불러오는 중 오류가 발생했습니다.',
+    message: error.message
+  });
+};
+
+// If-Range가 현재 파일과 일치하는지 확인 (ETag 또는 Last-Modified)
+const isRangeFresh = (req, etag, lastModified) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange === etag;
+
+  const since = Date.parse(ifRange);
+  return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+// 저장된 파일 스트리밍 전송 - 조건부 요청(304)과 단일 Range 요청(206) 처리
+const sendStoredFile = async (req, res, fileInfo) => {
+  const size = fileInfo.length;
+  // 저장된 파일은 수정되지 않으므로 파일 ID로 ETag 생성
+  const etag = `"${fileInfo.id}-${size}"`;
+  const lastModified = fileInfo.uploadDate;
+
+  res.set({
+    'Content-Type': fileInfo.contentType,
+    'Cache-Control': 'public, max-age=31536000', // 1년 캐시
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString()
+  });
+  // SVG 파일을 직접 열어도 스크립트가 실행되지 않도록 제한
+  if (fileInfo.contentType === 'image/svg+xml') {
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  }
+
+  // If-None-Match / If-Modified-Since
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  if (req.headers.range && isRangeFresh(req, etag, lastModified)) {
+    const ranges = req.range(size, { combine: true });
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    // 잘못된 형식(-2)이나 여러 구간 요청은 전체 파일로 응답
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+  }
+
+  res.set('Content-Length', range ? range.end - range.start + 1 : size);
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  let stream;
+  try {
+    stream = await openFileStream(fileInfo.id, range);
+  } catch (error) {
+    return sendStreamError(res, error);
+  }
+
+  stream.on('error', (error) => sendStreamError(res, error));
+  // 클라이언트가 연결을 끊으면 읽기 중단
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+};
+
+// :id 자리에 슬러그도 허용 - 현재 슬러그는 ID로 바꾸고, 이전 슬러그는 현재 슬러그 주소로 영구 이동
+// GET/HEAD는 301, 그 외 요청은 메서드와 본문이 유지되는 308로 이동
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+router.param('id', async (req, res, next, value) => {
+  if (OBJECT_ID_PATTERN.test(value)) return next();
+
+  try {
+    const portfolio = await Portfolio.findBySlug(value).select('slug');
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        error: '포트폴리오를 찾을 수 없습니다.'
+      });
+    }
+
+    if (portfolio.slug !== value) {
+      const location = req.baseUrl + req.url.replace(/^\/[^/?]*/, `/${encodeURIComponent(portfolio.slug)}`);
+      return res.redirect(['GET', 'HEAD'].includes(req.method) ? 301 : 308, location);
+    }
+
+    req.params.id = portfolio._id.toString();
+    next();
+  } catch (error) {
+    console.error('슬러그 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '포트폴리오 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// 이미지 서빙 엔드포인트 (설정된 저장소) - 갤러리 동영상도 같은 경로로 Range 요청 지원
+// ?w=가로 크기, ?format=avif|webp|jpeg|png|original - 포맷 생략 시 Accept 헤더로 선택
 router.get('/image/:fileId', async (req, res) => {
   try {
     const { fileId } = req.params;
@@ -25,59 +367,140 @@ router.get('/image/:fileId', async (req, res) => {
       });
     }
 
-    const fileInfo = await getFileInfo(fileId);
-    const imageBuffer = await getFromGridFS(fileId);
+    const { width, format, error } = parseImageQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    let fileInfo = await getFileInfo(fileId);
+    if (!fileInfo) {
+      return res.status(404).json({
+        success: false,
+        error: '이미지를 찾을 수 없습니다.'
+      });
+    }
+
+    const variants = fileInfo.metadata.variants || [];
     
-    res.set({
-      'Content-Type': fileInfo.metadata.contentType,
-      'Content-Length': imageBuffer.length,
-      'Cache-Control': 'public, max-age=31536000' // 1년 캐시
-    });
+    // 변환본이 있으면 요청에 맞는 파일로 대체 (변환본 도입 전 이미지는 원본 그대로)
+    if (variants.length > 0) {
+      const variant = selectVariant(variants, { width, format, accept: req.get('Accept') || '' });
+      if (!format) {
+        res.vary('Accept');
+      }
+      if (String(variant.fileId) !== fileInfo.id) {
+        // 변환본이 없어졌으면 원본 사용
+        fileInfo = (await getFileInfo(variant.fileId)) || fileInfo;
+      }
+    }
     
-    res.send(imageBuffer);
+    await sendStoredFile(req, res, fileInfo);
   } catch (error) {
     console.error('이미지 조회 오류:', error);
-    res.status(404).json({
+    const unavailable = isStorageUnavailable(error);
+    res.status(unavailable ? 503 : 500).json({
       success: false,
-      error: '이미지를 찾을 수 없습니다.'
+      error: unavailable ?
+        '이미지 저장소에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.' :
+        '이미지 조회 중 오류가 발생했습니다.',
+      message: error.message
     });
   }
 });
 
-// GET /api/portfolio - 모든 포트폴리오 조회
-router.get('/', async (req, res) => {
+// GET /api/portfolio - 모든 포트폴리오 조회 (?lang= 또는 Accept-Language 언어로)
+router.get('/', optionalAuth, negotiateLocale, async (req, res) => {
   try {
     const { 
       category, 
       tags, 
+      tagMode = 'or',
+      from,
+      to,
       search, 
-      sort = '최신순', 
+      sort, 
       page = 1, 
       limit = 10,
-      featured 
+      featured,
+      status
     } = req.query;
+
+    if (!TAG_MODES.includes(tagMode)) {
+      return res.status(400).json({
+        success: false,
+        error: '유효하지 않은 태그 필터 방식입니다.'
+      });
+    }
     
     const filters = {};
-    if (category) filters.category = category;
-    if (tags) filters.tags = tags.split(',');
+    // 상위 카테고리를 선택하면 하위 카테고리 포트폴리오도 포함
+    const categories = parseList(category);
+    if (categories.length > 0) filters.category = await Category.expandNames(categories);
+    const tagList = parseList(tags);
+    if (tagList.length > 0) {
+      filters.tags = tagList;
+      filters.tagMode = tagMode;
+    }
+    if (from) filters.dateFrom = parseDateParam(from);
+    if (to) filters.dateTo = parseDateParam(to, true);
+    if (filters.dateFrom === null || filters.dateTo === null) {
+      return res.status(400).json({
+        success: false,
+        error: '잘못된 날짜 형식입니다.'
+      });
+    }
     if (search) filters.search = search;
-    if (sort) filters.sort = sort;
+    filters.locale = req.locale;
+    // 검색 시 기본 정렬은 관련도순
+    filters.sort = sort || (search ? '관련도순' : '최신순');
     if (featured !== undefined) filters.featured = featured === 'true';
+    if (canViewUnpublished(req)) {
+      const statuses = parseList(status);
+      if (statuses.some(value => !PORTFOLIO_STATUSES.includes(value))) {
+        return res.status(400).json({
+          success: false,
+          error: '유효하지 않은 게시 상태입니다.'
+        });
+      }
+      if (statuses.length > 0) filters.status = statuses;
+    } else {
+      filters.publicOnly = true;
+    }
     
-    const query = Portfolio.findWithFilters(filters);
-    
-    // 페이지네이션
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const portfolios = await query.skip(skip).limit(parseInt(limit));
-    
-    // 전체 개수 계산
-    const totalQuery = Portfolio.findWithFilters(filters);
-    const totalItems = await totalQuery.countDocuments();
+    const categoryList = await Category.findOrdered();
+    let portfolios;
+    let totalItems;
+
+    if (filters.search) {
+      // 관련도 계산 후 페이지네이션 - 점수와 강조된 스니펫 포함
+      const results = await Portfolio.searchWithFilters(filters);
+      totalItems = results.length;
+      portfolios = results.slice(skip, skip + parseInt(limit)).map(result => {
+        return Object.assign(localizePortfolio(result.doc, req.locale, categoryList), {
+          score: result.score,
+          highlights: result.highlights
+        });
+      });
+    } else {
+      const query = Portfolio.findWithFilters(filters);
+      portfolios = (await query.skip(skip).limit(parseInt(limit)))
+        .map(portfolio => localizePortfolio(portfolio, req.locale, categoryList));
+      
+      // 전체 개수 계산
+      const totalQuery = Portfolio.findWithFilters(filters);
+      totalItems = await totalQuery.countDocuments();
+    }
     const totalPages = Math.ceil(totalItems / parseInt(limit));
+    const facets = await Portfolio.getFacets(filters, categoryList);
     
     res.json({
       success: true,
       data: portfolios,
+      facets,
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -97,8 +520,233 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/portfolio/:id - 특정 포트폴리오 조회
-router.get('/:id', async (req, res) => {
+// GET /api/portfolio/search/suggest - 검색어 자동완성 (요청 언어의 제목, 태그)
+router.get('/search/suggest', optionalAuth, negotiateLocale, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 100);
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+
+    if (!q) {
+      return res.json({
+        success: true,
+        data: []
+      });
+    }
+
+    const match = canViewUnpublished(req) ? { deletedAt: null } : Portfolio.publicFilter();
+    const [portfolios, tags] = await Promise.all([
+      Portfolio.find(match).sort({ featured: -1, views: -1 }).limit(500).select('title translations'),
+      Portfolio.aggregate([
+        { $match: match },
+        { $project: { tags: localizedTagsExpression(req.locale) } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    const suggestions = buildSuggestions(
+      q,
+      portfolios.map(portfolio => ({ id: portfolio._id, title: localizeContent(portfolio, req.locale).title })),
+      tags.map(tag => ({ tag: tag._id, count: tag.count })),
+      limit
+    );
+
+    res.set('Cache-Control', canViewUnpublished(req) ? 'private, no-store' : 'public, max-age=60');
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('자동완성 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '자동완성 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET|POST /api/portfolio/schedule/process - 예약 게시 처리 (Vercel Cron 또는 관리자 수동 실행)
+const handleScheduleProcess = async (req, res) => {
+  try {
+    const results = await processSchedule();
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('게시 예약 처리 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '게시 예약 처리 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+};
+
+router.get('/schedule/process', audit('portfolio.schedule'), authorizeOrCron('editor'), handleScheduleProcess);
+router.post('/schedule/process', audit('portfolio.schedule'), authorizeOrCron('editor'), handleScheduleProcess);
+
+// 휴지통 항목 조회 - 없으면 응답 후 null 반환
+const findTrashedOr404 = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: '잘못된 포트폴리오 ID입니다.'
+    });
+    return null;
+  }
+
+  const portfolio = await Portfolio.findOne({ _id: id, deletedAt: { $ne: null } });
+
+  if (!portfolio) {
+    res.status(404).json({
+      success: false,
+      error: '휴지통에서 포트폴리오를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return portfolio;
+};
+
+// GET /api/portfolio/trash - 휴지통 목록
+router.get('/trash', authorize('viewer'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { deletedAt: { $ne: null } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [portfolios, totalItems] = await Promise.all([
+      Portfolio.find(query)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('deletedBy', 'name email'),
+      Portfolio.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: portfolios.map(portfolio => Object.assign(portfolio.toJSON(), {
+        purgeAt: getPurgeAt(portfolio.deletedAt)
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems,
+        itemsPerPage: parseInt(limit),
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('휴지통 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '휴지통 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET|POST /api/portfolio/trash/purge - 보존 기간이 지난 항목 영구 삭제 (Vercel Cron 또는 owner)
+const handleTrashPurge = async (req, res) => {
+  try {
+    const results = await purgeExpired();
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('휴지통 정리 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '휴지통 정리 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+};
+
+router.get('/trash/purge', audit('portfolio.purge_expired'), authorizeOrCron('owner'), handleTrashPurge);
+router.post('/trash/purge', audit('portfolio.purge_expired'), authorizeOrCron('owner'), handleTrashPurge);
+
+// GET|POST /api/portfolio/files/gc - 참조되지 않는 업로드 파일 정리 (Vercel Cron 또는 owner)
+// dryRun=true면 삭제하지 않고 고아 파일과 없는 파일을 참조하는 포트폴리오만 조회
+const handleFileGc = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+    const results = await collectOrphanFiles({ dryRun });
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('고아 파일 정리 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '고아 파일 정리 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+};
+
+router.get('/files/gc', audit('portfolio.file_gc'), authorizeOrCron('owner'), handleFileGc);
+router.post('/files/gc', audit('portfolio.file_gc'), authorizeOrCron('owner'), handleFileGc);
+
+// POST /api/portfolio/trash/:id/restore - 휴지통에서 복원
+router.post('/trash/:id/restore', auditPortfolio('portfolio.restore'), authorize('editor'), async (req, res) => {
+  try {
+    const portfolio = await findTrashedOr404(req, res);
+    if (!portfolio) return;
+
+    await portfolio.restoreFromTrash();
+
+    res.json({
+      success: true,
+      data: portfolio,
+      message: '포트폴리오가 복원되었습니다.'
+    });
+  } catch (error) {
+    console.error('포트폴리오 복원 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '포트폴리오 복원 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/portfolio/trash/:id - 영구 삭제 (이미지 파일 포함, owner)
+router.delete('/trash/:id', auditPortfolio('portfolio.purge'), authorize('owner'), async (req, res) => {
+  try {
+    const portfolio = await findTrashedOr404(req, res);
+    if (!portfolio) return;
+
+    await purgePortfolio(portfolio);
+
+    res.json({
+      success: true,
+      message: '포트폴리오가 영구 삭제되었습니다.',
+      data: { id: portfolio._id }
+    });
+  } catch (error) {
+    console.error('포트폴리오 영구 삭제 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '포트폴리오 영구 삭제 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/portfolio/:id - 특정 포트폴리오 조회 (?lang= 또는 Accept-Language 언어로)
+router.get('/:id', optionalAuth, negotiateLocale, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -111,19 +759,22 @@ router.get('/:id', async (req, res) => {
     
     const portfolio = await Portfolio.findById(id);
     
-    if (!portfolio) {
+    if (!portfolio || portfolio.deletedAt || (!canViewUnpublished(req) && !portfolio.isPublic())) {
       return res.status(404).json({
         success: false,
         error: '포트폴리오를 찾을 수 없습니다.'
       });
     }
     
-    // 조회수 증가
+    // 조회수 증가 (버전은 바뀌지 않음)
     await portfolio.incrementViews();
     
+    const categories = await Category.findOrdered();
+
+    res.set('ETag', getETag(portfolio));
     res.json({
       success: true,
-      data: portfolio
+      data: localizePortfolio(portfolio, req.locale, categories)
     });
   } catch (error) {
     console.error('포트폴리오 조회 오류:', error);
@@ -136,36 +787,41 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/portfolio - 새 포트폴리오 생성
-router.post('/', upload.single('image'), async (req, res) => {
+router.post('/', auditPortfolio('portfolio.create'), authorize('editor'), upload.single('image'), async (req, res) => {
   try {
-    const { title, description, url, category, tags, featured, imageBase64 } = req.body;
+    const { title, slug, description, url, category, tags, translations, featured, imageBase64, status, publishAt, unpublishAt } = req.body;
     
     const portfolioData = {
       title,
+      slug,
       description,
       url,
       category,
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
-      featured: featured === 'true' || featured === true
+      translations: parseTranslations(translations),
+      featured: featured === 'true' || featured === true,
+      status,
+      publishAt: publishAt || null,
+      unpublishAt: unpublishAt || null
     };
     
     // 이미지 처리
     if (req.file) {
-      // GridFS에 저장
-      const fileId = await saveToGridFS(
-        req.file.buffer, 
-        req.file.originalname, 
-        req.file.mimetype
-      );
+      // 저장소에 저장
+      const fileId = await saveImage(req.file.buffer, req.file.originalname);
       portfolioData.imageId = fileId;
     } else if (imageBase64) {
-      // Base64 이미지 저장
-      portfolioData.imageBase64 = imageBase64;
+      // Base64 이미지는 문서에 넣지 않고 파일로 저장
+      const image = decodeImageOr400(res, imageBase64);
+      if (!image) return;
+      portfolioData.imageId = await saveDecodedImage(image, title);
     }
     
     const portfolio = new Portfolio(portfolioData);
     await portfolio.save();
+    await saveRevision(portfolio, { action: 'create', author: req.user });
     
+    res.set('ETag', getETag(portfolio));
     res.status(201).json({
       success: true,
       data: portfolio,
@@ -174,6 +830,8 @@ router.post('/', upload.single('image'), async (req, res) => {
   } catch (error) {
     console.error('포트폴리오 생성 오류:', error);
     
+    if (handleInvalidUpload(error, res)) return;
+    
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
       res.status(400).json({
@@ -192,10 +850,10 @@ router.post('/', upload.single('image'), async (req, res) => {
 });
 
 // PUT /api/portfolio/:id - 포트폴리오 업데이트
-router.put('/:id', upload.single('image'), async (req, res) => {
+router.put('/:id', auditPortfolio('portfolio.update'), authorize('editor'), upload.single('image'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, url, category, tags, featured, imageBase64 } = req.body;
+    const { title, slug, description, url, category, tags, translations, featured, imageBase64, status, publishAt, unpublishAt } = req.body;
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -206,58 +864,57 @@ router.put('/:id', upload.single('image'), async (req, res) => {
     
     const portfolio = await Portfolio.findById(id);
     
-    if (!portfolio) {
+    if (!portfolio || portfolio.deletedAt) {
       return res.status(404).json({
         success: false,
         error: '포트폴리오를 찾을 수 없습니다.'
       });
     }
     
+    // 이미지 저장 전에 버전 확인
+    if (!checkIfMatch(req, res, portfolio)) return;
+    
     // 업데이트할 데이터 준비
     const updateData = {};
     if (title !== undefined) updateData.title = title;
+    // 빈 값이면 제목으로 다시 생성 (이전 슬러그는 기록에 남음)
+    if (slug !== undefined) updateData.slug = slug;
     if (description !== undefined) updateData.description = description;
     if (url !== undefined) updateData.url = url;
     if (category !== undefined) updateData.category = category;
     if (tags !== undefined) updateData.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
     if (featured !== undefined) updateData.featured = featured === 'true' || featured === true;
+    if (status !== undefined) updateData.status = status;
+    if (publishAt !== undefined) updateData.publishAt = publishAt || null;
+    if (unpublishAt !== undefined) updateData.unpublishAt = unpublishAt || null;
     
-    // 이미지 처리
+    // 이미지 처리 - 기존 이미지 파일은 이전 리비전 복원을 위해 남겨두고 영구 삭제 시 정리
     if (req.file) {
-      // 기존 GridFS 이미지 삭제
-      if (portfolio.imageId) {
-        try {
-          await deleteFromGridFS(portfolio.imageId);
-        } catch (deleteError) {
-          console.warn('기존 이미지 삭제 실패:', deleteError);
-        }
-      }
-      
-      // 새 이미지 GridFS에 저장
-      const fileId = await saveToGridFS(
-        req.file.buffer, 
-        req.file.originalname, 
-        req.file.mimetype
-      );
+      // 새 이미지 저장소에 저장
+      const fileId = await saveImage(req.file.buffer, req.file.originalname);
       updateData.imageId = fileId;
       updateData.imageBase64 = '';
     } else if (imageBase64) {
-      // Base64 이미지 업데이트
-      updateData.imageBase64 = imageBase64;
-      if (portfolio.imageId) {
-        try {
-          await deleteFromGridFS(portfolio.imageId);
-        } catch (deleteError) {
-          console.warn('기존 이미지 삭제 실패:', deleteError);
-        }
-        updateData.imageId = null;
-      }
+      // Base64 이미지는 문서에 넣지 않고 파일로 저장
+      const image = decodeImageOr400(res, imageBase64);
+      if (!image) return;
+      updateData.imageId = await saveDecodedImage(image, portfolio._id.toString());
+      updateData.imageBase64 = '';
     }
     
-    // 포트폴리오 업데이트
+    // 포트폴리오 업데이트 - 번역은 보낸 언어/필드만 변경
+    const before = takeSnapshot(portfolio);
     Object.assign(portfolio, updateData);
+    const translationUpdates = parseTranslations(translations);
+    Object.keys(translationUpdates).forEach(locale => {
+      Object.keys(translationUpdates[locale]).forEach(field => {
+        portfolio.set(`translations.${locale}.${field}`, translationUpdates[locale][field]);
+      });
+    });
     await portfolio.save();
+    await saveRevision(portfolio, { action: 'update', author: req.user, before });
     
+    res.set('ETag', getETag(portfolio));
     res.json({
       success: true,
       data: portfolio,
@@ -266,6 +923,10 @@ router.put('/:id', upload.single('image'), async (req, res) => {
   } catch (error) {
     console.error('포트폴리오 업데이트 오류:', error);
     
+    if (await handleSaveConflict(error, req, res)) return;
+    
+    if (handleInvalidUpload(error, res)) return;
+    
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
       res.status(400).json({
@@ -283,8 +944,8 @@ router.put('/:id', upload.single('image'), async (req, res) => {
   }
 });
 
-// DELETE /api/portfolio/:id - 포트폴리오 삭제
-router.delete('/:id', async (req, res) => {
+// DELETE /api/portfolio/:id - 포트폴리오 삭제 (휴지통으로 이동)
+router.delete('/:id', auditPortfolio('portfolio.trash'), authorize('editor'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -297,32 +958,32 @@ router.delete('/:id', async (req, res) => {
     
     const portfolio = await Portfolio.findById(id);
     
-    if (!portfolio) {
+    if (!portfolio || portfolio.deletedAt) {
       return res.status(404).json({
         success: false,
         error: '포트폴리오를 찾을 수 없습니다.'
       });
     }
     
-    // GridFS 이미지 삭제
-    if (portfolio.imageId) {
-      try {
-        await deleteFromGridFS(portfolio.imageId);
-      } catch (deleteError) {
-        console.warn('이미지 삭제 실패:', deleteError);
-      }
-    }
+    if (!checkIfMatch(req, res, portfolio)) return;
     
-    // 포트폴리오 삭제
-    await Portfolio.findByIdAndDelete(id);
+    // 이미지는 영구 삭제 시 함께 삭제
+    await portfolio.moveToTrash(req.user);
     
     res.json({
       success: true,
-      message: '포트폴리오가 성공적으로 삭제되었습니다.',
-      data: { id }
+      message: '포트폴리오가 휴지통으로 이동되었습니다.',
+      data: {
+        id,
+        deletedAt: portfolio.deletedAt,
+        purgeAt: getPurgeAt(portfolio.deletedAt)
+      }
     });
   } catch (error) {
     console.error('포트폴리오 삭제 오류:', error);
+    
+    if (await handleSaveConflict(error, req, res)) return;
+    
     res.status(500).json({
       success: false,
       error: '포트폴리오 삭제 중 오류가 발생했습니다.',
@@ -331,6 +992,326 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// 갤러리에 한 번에 업로드할 수 있는 최대 파일 수
+const MAX_MEDIA_UPLOAD = 10;
+
+// 갤러리 파일 수신 - 크기 초과, 허용하지 않는 형식 등 업로드 오류는 400 응답
+const receiveMedia = (req, res, next) => {
+  uploadMedia.array('files', MAX_MEDIA_UPLOAD)(req, res, (error) => {
+    if (!error) return next();
+
+    const messages = {
+      LIMIT_FILE_SIZE: `동영상 크기는 ${MAX_VIDEO_SIZE / 1024 / 1024}MB 이하여야 합니다.`,
+      LIMIT_UNEXPECTED_FILE: `파일은 한 번에 ${MAX_MEDIA_UPLOAD}개까지 업로드할 수 있습니다.`
+    };
+    res.status(400).json({
+      success: false,
+      error: messages[error.code] || error.message
+    });
+  });
+};
+
+// 갤러리 잘못된 요청 응답
+const sendMediaError = (res, error) => {
+  res.status(400).json({
+    success: false,
+    error
+  });
+};
+
+// 미디어 ID로 갤러리 항목 조회 - 없으면 응답 후 null 반환
+const findMediaOr404 = (req, res, portfolio) => {
+  const { mediaId } = req.params;
+  const item = mongoose.Types.ObjectId.isValid(mediaId) ? portfolio.media.id(mediaId) : null;
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: '미디어를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return item;
+};
+
+// 갤러리 변경 공통 처리 - 버전 확인 후 change(req, res, portfolio)로 변경하고 저장, 리비전 기록
+// change에서 응답을 보냈으면(잘못된 요청 등) 저장하지 않음
+const handleMediaChange = (message, change, status = 200) => async (req, res) => {
+  try {
+    const portfolio = await findPortfolioOr404(req, res);
+    if (!portfolio) return;
+    if (!checkIfMatch(req, res, portfolio)) return;
+
+    const before = takeSnapshot(portfolio);
+    await change(req, res, portfolio);
+    if (res.headersSent) return;
+
+    await portfolio.save();
+    await saveRevision(portfolio, { action: 'update', author: req.user, before });
+
+    res.set('ETag', getETag(portfolio));
+    res.status(status).json({
+      success: true,
+      data: portfolio,
+      message
+    });
+  } catch (error) {
+    console.error('갤러리 변경 오류:', error);
+
+    if (await handleSaveConflict(error, req, res)) return;
+
+    if (handleInvalidUpload(error, res)) return;
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({
+        success: false,
+        error: '입력 데이터가 올바르지 않습니다.',
+        details: validationErrors
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: '갤러리 변경 중 오류가 발생했습니다.',
+        message: error.message
+      });
+    }
+  }
+};
+
+// POST /api/portfolio/:id/media - 갤러리에 파일(files, 여러 개) 또는 YouTube 링크(url) 추가
+// caption은 모든 항목에 적용, captions[]로 파일별 캡션 지정 가능
+router.post('/:id/media', auditPortfolio('portfolio.media_add'), authorize('editor'), receiveMedia,
+  handleMediaChange('미디어가 추가되었습니다.', async (req, res, portfolio) => {
+    const files = req.files || [];
+    const { url, caption = '' } = req.body;
+    const captions = [].concat(req.body.captions || []);
+
+    if (files.length === 0 && !url) {
+      return sendMediaError(res, '업로드할 파일 또는 YouTube 링크가 필요합니다.');
+    }
+    if (portfolio.media.length + files.length + (url ? 1 : 0) > MAX_MEDIA) {
+      return sendMediaError(res, `미디어는 최대 ${MAX_MEDIA}개까지 등록할 수 있습니다.`);
+    }
+    const youtubeId = url ? parseYouTubeId(url) : null;
+    if (url && !youtubeId) {
+      return sendMediaError(res, '올바른 YouTube 링크가 아닙니다.');
+    }
+
+    // 일부만 저장되지 않도록 모든 파일의 실제 형식을 먼저 확인
+    const inspected = [];
+    for (const file of files) {
+      inspected.push(await inspectUpload(file.buffer, { allowVideo: true }));
+    }
+    if (files.some((file, index) => inspected[index].kind === 'image' && file.size > MAX_IMAGE_SIZE)) {
+      return sendMediaError(res, '이미지 크기는 5MB 이하여야 합니다.');
+    }
+
+    for (const [index, file] of files.entries()) {
+      // 이미지는 크기/포맷별 변환본과 함께, 동영상은 그대로 저장 (같은 파일이 있으면 재사용)
+      const fileId = await saveUpload(file.buffer, file.originalname, inspected[index]);
+      portfolio.media.push({
+        type: inspected[index].kind,
+        fileId,
+        caption: captions[index] !== undefined ? captions[index] : caption
+      });
+    }
+    if (youtubeId) {
+      portfolio.media.push({ type: 'youtube', youtubeId, caption });
+    }
+
+    // 대표 이미지가 없으면 첫 번째 갤러리 이미지를 대표 이미지로 지정
+    if (!portfolio.imageId && !portfolio.image && !portfolio.imageBase64) {
+      const first = portfolio.media.find(item => item.type === 'image');
+      if (first) portfolio.setCoverMedia(first);
+    }
+  }, 201));
+
+// PUT /api/portfolio/:id/media/order - 갤러리 순서 변경 (order: 전체 미디어 ID 배열)
+router.put('/:id/media/order', auditPortfolio('portfolio.media_reorder'), authorize('editor'),
+  handleMediaChange('미디어 순서가 변경되었습니다.', (req, res, portfolio) => {
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const current = portfolio.media.map(item => item._id.toString());
+
+    if (order.length !== current.length || new Set(order).size !== order.length || !order.every(id => current.includes(id))) {
+      return sendMediaError(res, 'order에는 모든 미디어 ID를 한 번씩 지정해야 합니다.');
+    }
+
+    portfolio.media = order.map(id => portfolio.media.id(id).toObject({ virtuals: false }));
+  }));
+
+// PATCH /api/portfolio/:id/media/:mediaId - 캡션 수정, 대표 이미지 지정 (cover: true)
+router.patch('/:id/media/:mediaId', auditPortfolio('portfolio.media_update'), authorize('editor'),
+  handleMediaChange('미디어가 수정되었습니다.', (req, res, portfolio) => {
+    const item = findMediaOr404(req, res, portfolio);
+    if (!item) return;
+
+    const { caption, cover } = req.body;
+    if (cover === true || cover === 'true') {
+      if (item.type !== 'image') {
+        return sendMediaError(res, '대표 이미지는 이미지만 지정할 수 있습니다.');
+      }
+      portfolio.setCoverMedia(item);
+    }
+    if (caption !== undefined) item.caption = caption;
+  }));
+
+// DELETE /api/portfolio/:id/media/:mediaId - 갤러리에서 삭제 (파일은 영구 삭제 시 정리)
+router.delete('/:id/media/:mediaId', auditPortfolio('portfolio.media_delete'), authorize('editor'),
+  handleMediaChange('미디어가 삭제되었습니다.', (req, res, portfolio) => {
+    const item = findMediaOr404(req, res, portfolio);
+    if (!item) return;
+
+    portfolio.removeMedia(item);
+  }));
+
+// GET /api/portfolio/:id/revisions - 리비전 목록 (스냅샷 제외)
+router.get('/:id/revisions', authorize('viewer'), async (req, res) => {
+  try {
+    const portfolio = await findPortfolioOr404(req, res);
+    if (!portfolio) return;
+
+    const revisions = await PortfolioRevision.find({ portfolio: portfolio._id })
+      .sort({ number: -1 })
+      .select('-snapshot')
+      .populate('author', 'name email');
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('리비전 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '리비전 목록 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/portfolio/:id/revisions/diff?from=&to= - 두 리비전 비교 (to 생략 시 현재 값과 비교)
+router.get('/:id/revisions/diff', authorize('viewer'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || isNaN(parseInt(from)) || (to && isNaN(parseInt(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: '비교할 리비전 번호를 입력해주세요.'
+      });
+    }
+
+    const portfolio = await findPortfolioOr404(req, res);
+    if (!portfolio) return;
+
+    const fromRevision = await findRevisionOr404(res, portfolio, from);
+    if (!fromRevision) return;
+
+    let toSnapshot = takeSnapshot(portfolio);
+    if (to) {
+      const toRevision = await findRevisionOr404(res, portfolio, to);
+      if (!toRevision) return;
+      toSnapshot = toRevision.snapshot;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.number,
+        to: to ? parseInt(to) : 'current',
+        changes: diffSnapshots(fromRevision.snapshot, toSnapshot)
+      }
+    });
+  } catch (error) {
+    console.error('리비전 비교 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '리비전 비교 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/portfolio/:id/revisions/:number - 리비전 상세 (스냅샷 포함)
+router.get('/:id/revisions/:number', authorize('viewer'), async (req, res) => {
+  try {
+    const portfolio = await findPortfolioOr404(req, res);
+    if (!portfolio) return;
+
+    const revision = await findRevisionOr404(res, portfolio, req.params.number);
+    if (!revision) return;
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('리비전 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '리비전 조회 중 오류가 발생했습니다.',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/portfolio/:id/revisions/:number/restore - 리비전을 새 현재 버전으로 복원
+router.post('/:id/revisions/:number/restore', auditPortfolio('portfolio.revision_restore'), authorize('editor'), async (req, res) => {
+  try {
+    const portfolio = await findPortfolioOr404(req, res);
+    if (!portfolio) return;
+
+    const revision = await findRevisionOr404(res, portfolio, req.params.number);
+    if (!revision) return;
+
+    if (!checkIfMatch(req, res, portfolio)) return;
+
+    const before = takeSnapshot(portfolio);
+    applySnapshot(portfolio, revision.snapshot);
+    // 이후 이름이 바뀌거나 병합된 카테고리는 현재 이름으로 복원
+    portfolio.category = await Category.resolveName(portfolio.category);
+    // Base64 이미지를 문서에 저장하던 시기의 리비전이면 이미지를 파일로 옮김
+    await moveBase64Image(portfolio);
+    await portfolio.save();
+    await saveRevision(portfolio, {
+      action: 'restore',
+      author: req.user,
+      before,
+      restoredFrom: revision.number
+    });
+
+    res.set('ETag', getETag(portfolio));
+    res.json({
+      success: true,
+      data: portfolio,
+      message: `리비전 ${revision.number}(으)로 복원되었습니다.`
+    });
+  } catch (error) {
+    console.error('리비전 복원 오류:', error);
+
+    if (await handleSaveConflict(error, req, res)) return;
+
+    if (handleInvalidUpload(error, res)) return;
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({
+        success: false,
+        error: '입력 데이터가 올바르지 않습니다.',
+        details: validationErrors
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: '리비전 복원 중 오류가 발생했습니다.',
+        message: error.message
+      });
+    }
+  }
+});
+
 // POST /api/portfolio/:id/like - 좋아요 토글
 router.post('/:id/like', async (req, res) => {
   try {
@@ -346,7 +1327,7 @@ router.post('/:id/like', async (req, res) => {
     
     const portfolio = await Portfolio.findById(id);
     
-    if (!portfolio) {
+    if (!portfolio || !portfolio.isPublic()) {
       return res.status(404).json({
         success: false,
         error: '포트폴리오를 찾을 수 없습니다.'
@@ -370,43 +1351,66 @@ router.post('/:id/like', async (req, res) => {
   }
 });
 
-// GET /api/portfolio/stats/summary - 통계 정보 조회
-router.get('/stats/summary', async (req, res) => {
+// GET /api/portfolio/stats/summary - 통계 정보 조회 (카테고리 이름, 태그, 제목은 요청 언어로)
+router.get('/stats/summary', authorize('viewer'), negotiateLocale, async (req, res) => {
   try {
     const [
       totalCount,
       featuredCount,
       categories,
       allTags,
-      topViewed
+      topViewed,
+      statuses,
+      trashCount,
+      categoryList
     ] = await Promise.all([
-      Portfolio.countDocuments(),
-      Portfolio.countDocuments({ featured: true }),
+      Portfolio.countDocuments({ deletedAt: null }),
+      Portfolio.countDocuments({ featured: true, deletedAt: null }),
       Portfolio.aggregate([
+        { $match: { deletedAt: null } },
         { $group: { _id: '$category', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
       ]),
       Portfolio.aggregate([
+        { $match: { deletedAt: null } },
+        { $project: { tags: localizedTagsExpression(req.locale) } },
         { $unwind: '$tags' },
         { $group: { _id: '$tags', count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 10 }
       ]),
-      Portfolio.find().sort({ views: -1 }).limit(5).select('title views')
+      Portfolio.find({ deletedAt: null }).sort({ views: -1 }).limit(5).select('title translations views'),
+      Portfolio.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Portfolio.countDocuments({ deletedAt: { $ne: null } }),
+      Category.findOrdered()
     ]);
+
+    const statusCounts = {};
+    PORTFOLIO_STATUSES.forEach(value => { statusCounts[value] = 0; });
+    statuses.forEach(item => { statusCounts[item._id] = item.count; });
     
     const stats = {
       totalPortfolios: totalCount,
       featuredPortfolios: featuredCount,
       categoryStats: categories.map(cat => ({
         category: cat._id,
+        label: getCategoryLabel(categoryList.find(item => item.name === cat._id) || { name: cat._id }, req.locale),
         count: cat.count
       })),
       popularTags: allTags.map(tag => ({
         tag: tag._id,
         count: tag.count
       })),
-      topViewedPortfolios: topViewed
+      topViewedPortfolios: topViewed.map(portfolio => ({
+        id: portfolio._id,
+        title: localizeContent(portfolio, req.locale).title,
+        views: portfolio.views
+      })),
+      statusCounts,
+      trashCount
     };
     
     res.json({
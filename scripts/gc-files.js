@@ -0,0 +1,62 @@
+// 포트폴리오와 리비전 어디에서도 참조하지 않는 업로드 파일(고아 파일) 정리 (STORAGE_DRIVER 저장소)
+// 사용법: npm run gc:files [-- --dry-run] [--grace-hours 24]
+// 저장소에 없는 파일을 참조하는 포트폴리오도 함께 표시
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const { ORPHAN_GRACE_HOURS, collectOrphanFiles } = require('../services/orphanFiles');
+
+const getOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const graceOption = getOption('grace-hours');
+  const graceHours = graceOption === undefined ? ORPHAN_GRACE_HOURS : Number(graceOption);
+
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    console.error('--grace-hours에는 0 이상의 숫자를 지정하세요');
+    return 1;
+  }
+
+  await connectDB();
+  const results = await collectOrphanFiles({ dryRun, graceHours });
+
+  console.log(`${dryRun ? '[확인만 실행] ' : ''}파일 ${results.scanned}개 중 고아 파일: ${results.orphans.length}개 (${formatBytes(results.bytes)}), 유예 시간(${graceHours}시간) 이내: ${results.recent}개`);
+  results.orphans.forEach(item => {
+    console.log(`- ${item.id} (${item.filename}, ${formatBytes(item.length)}, ${item.uploadDate.toISOString()})${item.variantOf ? ` - 원본 ${item.variantOf}의 변환본` : ''}`);
+  });
+  if (!dryRun) {
+    console.log(`삭제: ${results.deleted}개, 새로 참조되어 건너뜀: ${results.skipped}개, 실패: ${results.failed}개`);
+  }
+  results.errors.forEach(item => {
+    console.error(`- ${item.id} (${item.filename}): ${item.error}`);
+  });
+  if (results.staleRecords > 0) {
+    console.log(`저장소에 없는 파일의 업로드 해시 기록: ${results.staleRecords}개${dryRun ? '' : ' (정리됨)'}`);
+  }
+  if (results.broken.length > 0) {
+    console.error(`저장소에 없는 파일을 참조하는 포트폴리오 ${results.broken.length}개:`);
+    results.broken.forEach(item => {
+      const files = [item.imageId ? `대표 이미지 ${item.imageId}` : null].concat(item.media.map(id => `갤러리 ${id}`)).filter(Boolean);
+      console.error(`- ${item.id} (${item.title}${item.deleted ? ', 휴지통' : ''}): ${files.join(', ')}`);
+    });
+  }
+
+  return results.failed > 0 || results.broken.length > 0 ? 1 : 0;
+};
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('고아 파일 정리 실패:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
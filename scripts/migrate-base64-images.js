@@ -0,0 +1,31 @@
+// 포트폴리오 문서의 Base64 이미지(imageBase64)를 파일로 이전 (STORAGE_DRIVER 저장소)
+// 사용법: npm run migrate:images [-- --dry-run]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const { migrateBase64Images } = require('../services/base64Images');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+  const results = await migrateBase64Images({ dryRun });
+
+  console.log(`${dryRun ? '[확인만 실행] ' : ''}Base64 이미지 ${results.total}개 중 이전: ${results.migrated}개, 실패: ${results.failed}개`);
+  results.errors.forEach(item => {
+    console.error(`- ${item.id} (${item.title}): ${item.error}`);
+  });
+
+  return results.failed > 0 ? 1 : 0;
+};
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('이미지 이전 실패:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,53 @@
+// 업로드 파일을 다른 저장소로 이전 (gridfs, fs, s3)
+// 사용법: npm run migrate:storage -- --from gridfs --to s3 [--dry-run]
+// 이전 후 STORAGE_DRIVER를 대상 저장소로 변경
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const { createStorage, STORAGE_DRIVERS } = require('../services/storage');
+const { migrateStorage } = require('../services/storageMigration');
+
+const getOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const run = async () => {
+  const from = getOption('from') || process.env.STORAGE_DRIVER || 'gridfs';
+  const to = getOption('to');
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error(`--from, --to에 서로 다른 저장소를 지정하세요 (${STORAGE_DRIVERS.join(', ')})`);
+    return 1;
+  }
+
+  // 포트폴리오 참조 확인과 GridFS 사용을 위해 항상 DB 연결
+  await connectDB();
+  const results = await migrateStorage(createStorage(from), createStorage(to), { dryRun });
+
+  console.log(`${dryRun ? '[확인만 실행] ' : ''}${from} → ${to}: 이미지 ${results.total}개 중 복사: ${results.copied}개, 이미 있음: ${results.skipped}개, 실패: ${results.failed}개`);
+  results.errors.forEach(item => {
+    console.error(`- ${item.id} (${item.filename}): ${item.error}`);
+  });
+  if (results.rewritten) {
+    console.log(`파일 ID 변경으로 수정한 참조 - 포트폴리오: ${results.rewritten.portfolios}개, 리비전: ${results.rewritten.revisions}개`);
+  }
+  if (results.missing.length > 0) {
+    console.error(`저장소에 없는 이미지를 참조하는 파일 ID ${results.missing.length}개:`);
+    results.missing.forEach(id => console.error(`- ${id}`));
+  }
+
+  return results.failed > 0 || results.missing.length > 0 ? 1 : 0;
+};
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('저장소 이전 실패:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
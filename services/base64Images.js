@@ -0,0 +1,86 @@
+const { Portfolio } = require('../models/Portfolio');
+const { decodeBase64Image, saveImage } = require('../middleware/upload');
+const { inspectUpload } = require('./uploadValidation');
+
+// 업로드 파일과 같은 크기 제한
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg'
+};
+
+// Base64 data URI 디코딩 및 확인 - 이미지가 아니거나 너무 크면 오류
+const decodeImage = (dataUri) => {
+  const { mimetype, buffer } = decodeBase64Image(dataUri);
+
+  if (!mimetype.startsWith('image/')) {
+    throw new Error('이미지 파일만 업로드 가능합니다.');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error('이미지 크기는 5MB 이하여야 합니다.');
+  }
+
+  return { mimetype, buffer };
+};
+
+// 디코딩한 이미지를 파일로 저장 - 저장된 파일 ID 반환
+const saveDecodedImage = ({ mimetype, buffer }, name = 'image') => {
+  const extension = EXTENSIONS[mimetype] || mimetype.split('/')[1];
+  return saveImage(buffer, `${name}.${extension}`);
+};
+
+// Base64 이미지를 파일로 저장 - 저장된 파일 ID 반환
+const storeBase64Image = (dataUri, name) => {
+  return saveDecodedImage(decodeImage(dataUri), name);
+};
+
+// 포트폴리오의 imageBase64를 파일로 옮기고 필드를 비움 (저장은 호출한 쪽에서)
+// 옮길 이미지가 없으면 false 반환
+const moveBase64Image = async (portfolio) => {
+  if (!portfolio.imageBase64) return false;
+
+  portfolio.imageId = await storeBase64Image(portfolio.imageBase64, portfolio._id.toString());
+  portfolio.imageBase64 = '';
+  return true;
+};
+
+// 기존 문서의 Base64 이미지를 모두 파일로 이전 (휴지통 항목 포함)
+// 문서를 한 건씩 불러와 큰 data URI를 한꺼번에 메모리에 올리지 않음
+const migrateBase64Images = async ({ dryRun = false } = {}) => {
+  const ids = await Portfolio.find({ imageBase64: { $nin: [null, ''] } }).distinct('_id');
+  const results = { total: ids.length, migrated: 0, failed: 0, errors: [] };
+
+  for (const id of ids) {
+    const portfolio = await Portfolio.findById(id);
+    if (!portfolio || !portfolio.imageBase64) continue;
+
+    try {
+      if (dryRun) {
+        await inspectUpload(decodeImage(portfolio.imageBase64).buffer);
+      } else {
+        await moveBase64Image(portfolio);
+        // 내용은 그대로이므로 수정 일시는 유지
+        await portfolio.save({ timestamps: false });
+      }
+      results.migrated += 1;
+    } catch (error) {
+      results.failed += 1;
+      results.errors.push({ id: id.toString(), title: portfolio.title, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  decodeImage,
+  saveDecodedImage,
+  storeBase64Image,
+  moveBase64Image,
+  migrateBase64Images
+};
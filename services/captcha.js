@@ -0,0 +1,100 @@
+// 캡차 검증기 - CAPTCHA_PROVIDER로 선택 (none, fake, turnstile, recaptcha, hcaptcha)
+
+const VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify'
+};
+
+// 위젯별 응답 필드 이름
+const RESPONSE_FIELDS = ['captcha_token', 'cf-turnstile-response', 'g-recaptcha-response', 'h-captcha-response'];
+
+// 캡차 미사용
+const createNoopVerifier = () => ({
+  enabled: false,
+  verify: async () => ({ success: true })
+});
+
+// 테스트/로컬용 가짜 검증기 - CAPTCHA_FAKE_TOKEN(기본 'pass')과 일치하면 통과
+const createFakeVerifier = () => {
+  const expected = process.env.CAPTCHA_FAKE_TOKEN || 'pass';
+  return {
+    enabled: true,
+    verify: async (token) => {
+      return token === expected ?
+        { success: true } :
+        { success: false, errors: ['invalid-input-response'] };
+    }
+  };
+};
+
+// siteverify 방식 외부 서비스
+const createRemoteVerifier = (provider) => {
+  if (!process.env.CAPTCHA_SECRET) {
+    throw new Error('CAPTCHA_SECRET 환경변수가 설정되지 않았습니다.');
+  }
+
+  return {
+    enabled: true,
+    verify: async (token, remoteIp) => {
+      const params = new URLSearchParams({
+        secret: process.env.CAPTCHA_SECRET,
+        response: token
+      });
+      if (remoteIp) params.set('remoteip', remoteIp);
+
+      const response = await fetch(VERIFY_URLS[provider], {
+        method: 'POST',
+        body: params,
+        signal: AbortSignal.timeout(5000)
+      });
+      const result = await response.json();
+
+      // reCAPTCHA v3는 점수 기준 추가 확인
+      const minScore = parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5;
+      if (result.success && typeof result.score === 'number' && result.score < minScore) {
+        return { success: false, errors: ['low-score'] };
+      }
+
+      return {
+        success: Boolean(result.success),
+        errors: result['error-codes'] || []
+      };
+    }
+  };
+};
+
+let verifier = null;
+
+const getCaptchaVerifier = () => {
+  if (verifier) return verifier;
+
+  const provider = process.env.CAPTCHA_PROVIDER || 'none';
+  if (provider === 'none') {
+    verifier = createNoopVerifier();
+  } else if (provider === 'fake') {
+    verifier = createFakeVerifier();
+  } else if (VERIFY_URLS[provider]) {
+    verifier = createRemoteVerifier(provider);
+  } else {
+    throw new Error(`지원하지 않는 캡차 provider입니다: ${provider}`);
+  }
+  return verifier;
+};
+
+// 테스트에서 검증기 교체
+const setCaptchaVerifier = (custom) => {
+  verifier = custom;
+};
+
+// 요청 본문에서 캡차 응답 토큰 추출
+const extractCaptchaToken = (body = {}) => {
+  const field = RESPONSE_FIELDS.find(name => body[name]);
+  return field ? String(body[field]) : '';
+};
+
+module.exports = {
+  getCaptchaVerifier,
+  setCaptchaVerifier,
+  extractCaptchaToken
+};
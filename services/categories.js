@@ -0,0 +1,83 @@
+const { Category } = require('../models/Category');
+const { Portfolio } = require('../models/Portfolio');
+const { takeSnapshot, recordRevision } = require('./revisions');
+
+// 포트폴리오의 카테고리 이름 변경 (휴지통 항목 포함)
+// 포트폴리오마다 리비전을 남기고, 버전을 올려 변경 전 내용으로 편집 중이던 화면에서 충돌로 확인하도록 함
+// 반환: 변경 목록 [{ portfolio, from, to }]
+const replacePortfolioCategory = async (from, to, author = null) => {
+  const portfolios = await Portfolio.find({ category: from });
+  const changes = [];
+
+  for (const portfolio of portfolios) {
+    const before = takeSnapshot(portfolio);
+    const result = await Portfolio.updateOne(
+      { _id: portfolio._id, category: from },
+      { $set: { category: to }, $inc: { version: 1 } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    // 리비전 스냅샷용으로 메모리의 값만 변경 (저장은 위에서 완료)
+    portfolio.category = to;
+    try {
+      await recordRevision(portfolio, { action: 'category', author, before });
+    } catch (error) {
+      console.error('리비전 기록 오류:', error);
+    }
+    changes.push({ portfolio, from, to });
+  }
+
+  return changes;
+};
+
+// 이름 변경과 병합은 트랜잭션 없이 여러 문서를 차례로 변경 (단일 MongoDB 서버에서도 동작)
+// 각 단계는 다시 실행해도 결과가 같고 카테고리 저장/삭제는 마지막에 하므로,
+// 중간에 실패하면 카테고리는 그대로 남아 같은 요청을 다시 실행하면 남은 단계를 이어서 처리
+
+// 카테고리 저장 - 이름이 바뀌면 해당 카테고리의 포트폴리오도 변경
+// 반환: 포트폴리오 변경 목록
+const saveCategory = async (category, author = null) => {
+  const previousName = category.$locals.savedName;
+  if (!previousName || previousName === category.name) {
+    await category.save();
+    return [];
+  }
+
+  // 이름 중복 등은 포트폴리오를 바꾸기 전에 확인하고, 포트폴리오를 모두 옮긴 뒤 새 이름 저장
+  await category.validate();
+  const changes = await replacePortfolioCategory(previousName, category.name, author);
+  await category.save();
+  return changes;
+};
+
+// 카테고리 병합 - source의 포트폴리오와 하위 카테고리를 target으로 옮기고 source 삭제
+// source의 이름(이전 이름 포함)과 문의 프로젝트 유형은 target에 추가
+// 반환: 포트폴리오 변경 목록
+const mergeCategories = async (source, target, author = null) => {
+  await Category.updateOne({ _id: target._id }, {
+    $addToSet: {
+      previousNames: { $each: [source.name].concat(source.previousNames || []).filter(name => name !== target.name) },
+      projectTypes: { $each: source.projectTypes || [] }
+    }
+  });
+  const changes = await replacePortfolioCategory(source.name, target.name, author);
+  await Category.updateMany({ parent: source._id }, { $set: { parent: target._id } });
+  // 모든 단계가 끝난 뒤 삭제 - 실패하면 source가 남아 병합을 다시 실행할 수 있음
+  await source.deleteOne();
+  return changes;
+};
+
+// 카테고리 삭제 전 사용 현황 - 포트폴리오(휴지통 포함)나 하위 카테고리가 있으면 삭제 불가
+const getCategoryUsage = async (category) => {
+  const [portfolios, children] = await Promise.all([
+    Portfolio.countDocuments({ category: category.name }),
+    Category.countDocuments({ parent: category._id })
+  ]);
+  return { portfolios, children };
+};
+
+module.exports = {
+  saveCategory,
+  mergeCategories,
+  getCategoryUsage
+};
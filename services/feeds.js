@@ -0,0 +1,187 @@
+const { SITE_NAME, SITE_DESCRIPTION, getShareImage, safeUrl } = require('./pages');
+
+// 피드에 포함할 최근 프로젝트 수
+const FEED_LIMIT = 50;
+
+// 피드 형식별 경로와 Content-Type
+const FEED_FORMATS = {
+  rss: { path: '/feed.xml', type: 'application/rss+xml; charset=utf-8' },
+  atom: { path: '/feed.atom', type: 'application/atom+xml; charset=utf-8' },
+  json: { path: '/feed.json', type: 'application/feed+json; charset=utf-8' }
+};
+
+const escapeXml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // XML 1.0에서 허용하지 않는 제어 문자 제거
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+};
+
+// 목록에서 가장 최근 수정 일시 (없으면 null)
+const getLastModified = (portfolios) => {
+  return portfolios.reduce((latest, portfolio) => {
+    return !latest || portfolio.updatedAt > latest ? portfolio.updatedAt : latest;
+  }, null);
+};
+
+// 게시 일시 - 게시 전에 만든 항목은 게시 일시, 기록이 없으면 생성 일시
+const getPublishedDate = (portfolio) => portfolio.publishedAt || portfolio.createdAt;
+
+// 피드 제목과 주소에 쓰는 필터 - category: 카테고리 목록, featured: 추천 프로젝트만
+const describeFilters = ({ category = [], featured = false }) => {
+  const parts = [];
+  if (category.length > 0) parts.push(category.join(', '));
+  if (featured) parts.push('추천');
+  return parts.length > 0 ? `${SITE_NAME} 포트폴리오 (${parts.join(' · ')})` : `${SITE_NAME} 포트폴리오`;
+};
+
+// 같은 필터의 피드 주소 (형식만 다름)
+const getFeedUrl = (siteUrl, format, { category = [], featured = false } = {}) => {
+  const params = new URLSearchParams();
+  if (category.length > 0) params.set('category', category.join(','));
+  if (featured) params.set('featured', 'true');
+  const query = params.toString();
+  return `${siteUrl}${FEED_FORMATS[format].path}${query ? `?${query}` : ''}`;
+};
+
+// sitemap.xml - 메인 페이지와 공개 프로젝트 페이지, 추천 프로젝트는 우선순위를 높게
+const renderSitemap = ({ portfolios, siteUrl }) => {
+  const lastModified = getLastModified(portfolios);
+  const urls = [
+    { loc: `${siteUrl}/`, lastmod: lastModified, priority: '1.0' }
+  ].concat(portfolios.map(portfolio => ({
+    loc: `${siteUrl}${portfolio.pageUrl}`,
+    lastmod: portfolio.updatedAt,
+    priority: portfolio.featured ? '0.8' : '0.6'
+  })));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => [
+      '  <url>',
+      `    <loc>${escapeXml(url.loc)}</loc>`,
+      url.lastmod ? `    <lastmod>${url.lastmod.toISOString()}</lastmod>` : null,
+      `    <priority>${url.priority}</priority>`,
+      '  </url>'
+    ].filter(Boolean).join('\n')),
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+// RSS 2.0
+const renderRssFeed = ({ portfolios, siteUrl, filters = {} }) => {
+  const lastModified = getLastModified(portfolios);
+  const items = portfolios.map(portfolio => {
+    const url = `${siteUrl}${portfolio.pageUrl}`;
+    const image = getShareImage(portfolio, siteUrl);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(portfolio.title)}</title>`,
+      `      <link>${escapeXml(url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(`${siteUrl}/projects/${portfolio._id}`)}</guid>`,
+      `      <pubDate>${getPublishedDate(portfolio).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(portfolio.description)}</description>`,
+      `      <category>${escapeXml(portfolio.category)}</category>`,
+      ...portfolio.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+      image ? `      <media:thumbnail url="${escapeXml(image)}"/>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(describeFilters(filters))}</title>`,
+    `    <link>${escapeXml(`${siteUrl}/`)}</link>`,
+    `    <description>${escapeXml(SITE_DESCRIPTION)}</description>`,
+    '    <language>ko</language>',
+    `    <atom:link href="${escapeXml(getFeedUrl(siteUrl, 'rss', filters))}" rel="self" type="application/rss+xml"/>`,
+    lastModified ? `    <lastBuildDate>${lastModified.toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+// Atom 1.0
+const renderAtomFeed = ({ portfolios, siteUrl, filters = {} }) => {
+  const lastModified = getLastModified(portfolios) || new Date(0);
+  const entries = portfolios.map(portfolio => {
+    const url = `${siteUrl}${portfolio.pageUrl}`;
+    const image = getShareImage(portfolio, siteUrl);
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(portfolio.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+      `    <id>${escapeXml(`${siteUrl}/projects/${portfolio._id}`)}</id>`,
+      `    <published>${getPublishedDate(portfolio).toISOString()}</published>`,
+      `    <updated>${portfolio.updatedAt.toISOString()}</updated>`,
+      `    <summary type="text">${escapeXml(portfolio.description)}</summary>`,
+      `    <category term="${escapeXml(portfolio.category)}"/>`,
+      ...portfolio.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+      image ? `    <link rel="enclosure" href="${escapeXml(image)}"/>` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="ko">',
+    `  <title>${escapeXml(describeFilters(filters))}</title>`,
+    `  <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/`)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(getFeedUrl(siteUrl, 'atom', filters))}"/>`,
+    `  <id>${escapeXml(getFeedUrl(siteUrl, 'atom', filters))}</id>`,
+    `  <updated>${lastModified.toISOString()}</updated>`,
+    `  <author><name>${SITE_NAME}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+// JSON Feed 1.1 - 추천 여부는 확장 필드(_fornerds)로 전달
+const renderJsonFeed = ({ portfolios, siteUrl, filters = {} }) => {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: describeFilters(filters),
+    home_page_url: `${siteUrl}/`,
+    feed_url: getFeedUrl(siteUrl, 'json', filters),
+    description: SITE_DESCRIPTION,
+    icon: `${siteUrl}/logo.png`,
+    favicon: `${siteUrl}/favicon-32x32.png`,
+    language: 'ko',
+    authors: [{ name: SITE_NAME, url: `${siteUrl}/` }],
+    items: portfolios.map(portfolio => ({
+      id: `${siteUrl}/projects/${portfolio._id}`,
+      url: `${siteUrl}${portfolio.pageUrl}`,
+      external_url: safeUrl(portfolio.url) || undefined,
+      title: portfolio.title,
+      content_text: portfolio.description,
+      image: getShareImage(portfolio, siteUrl) || undefined,
+      date_published: getPublishedDate(portfolio).toISOString(),
+      date_modified: portfolio.updatedAt.toISOString(),
+      tags: [portfolio.category].concat(portfolio.tags),
+      _fornerds: { category: portfolio.category, featured: portfolio.featured }
+    }))
+  };
+};
+
+module.exports = {
+  FEED_LIMIT,
+  FEED_FORMATS,
+  getLastModified,
+  getFeedUrl,
+  renderSitemap,
+  renderRssFeed,
+  renderAtomFeed,
+  renderJsonFeed
+};
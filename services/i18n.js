@@ -0,0 +1,101 @@
+// 지원 언어 - 기본 언어(ko) 내용은 title/description/tags 필드, 그 외 언어는 translations.<언어>에 저장
+const LOCALES = ['ko', 'en'];
+const DEFAULT_LOCALE = 'ko';
+const TRANSLATED_LOCALES = LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+// 언어별로 저장하는 필드
+const TRANSLATABLE_FIELDS = ['title', 'description', 'tags'];
+
+// 언어 태그를 지원 언어로 변환 ('en-US' → 'en'), 지원하지 않으면 null
+const resolveLocale = (value) => {
+  const locale = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(locale) ? locale : null;
+};
+
+// 요청 언어에서 기본 언어 순으로 찾는 순서
+const getFallbackChain = (locale) => {
+  return locale === DEFAULT_LOCALE ? [DEFAULT_LOCALE] : [locale, DEFAULT_LOCALE];
+};
+
+const hasValue = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// 언어별 내용 - 기본 언어는 포트폴리오 필드 자체
+const getContent = (portfolio, locale) => {
+  if (locale === DEFAULT_LOCALE) return portfolio;
+  return (portfolio.translations && portfolio.translations[locale]) || {};
+};
+
+// 번역되지 않은 필드 - { en: ['description'] }
+const findMissingTranslations = (portfolio) => {
+  return TRANSLATED_LOCALES.reduce((missing, locale) => {
+    const content = getContent(portfolio, locale);
+    missing[locale] = TRANSLATABLE_FIELDS.filter(field => {
+      // 원문이 없는 필드(태그 없음 등)는 번역할 것이 없음
+      return hasValue(portfolio[field]) && !hasValue(content[field]);
+    });
+    return missing;
+  }, {});
+};
+
+// 요청 언어의 필드 값 - 번역이 없으면 기본 언어 값
+// 반환: { title, description, tags, fallbackFields } (fallbackFields: 기본 언어로 대신한 필드)
+const localizeContent = (portfolio, locale) => {
+  const chain = getFallbackChain(locale);
+  const result = { fallbackFields: [] };
+
+  TRANSLATABLE_FIELDS.forEach(field => {
+    const source = chain.find(candidate => hasValue(getContent(portfolio, candidate)[field])) || DEFAULT_LOCALE;
+    const value = getContent(portfolio, source)[field];
+    result[field] = Array.isArray(value) ? Array.from(value) : value;
+    if (source !== locale && hasValue(portfolio[field])) {
+      result.fallbackFields.push(field);
+    }
+  });
+  return result;
+};
+
+// 카테고리 표시 이름 - category는 카테고리 문서 (기본 언어나 번역이 없으면 카테고리 이름)
+const getCategoryLabel = (category, locale) => {
+  const labels = category.labels || {};
+  return (locale !== DEFAULT_LOCALE && labels[locale]) || category.name;
+};
+
+// API 응답용 포트폴리오 - 제목/설명/태그를 요청 언어 값으로 바꾸고 카테고리 표시 이름 추가
+// categories: 카테고리 문서 목록 (표시 이름 조회용)
+// 언어별 원본은 translations에 그대로 포함 (기본 언어 원문 편집은 lang=ko로 요청)
+const localizePortfolio = (portfolio, locale, categories = []) => {
+  const data = typeof portfolio.toJSON === 'function' ? portfolio.toJSON() : Object.assign({}, portfolio);
+  const content = localizeContent(portfolio, locale);
+  const category = categories.find(item => item.name === data.category) || { name: data.category };
+
+  return Object.assign(data, {
+    title: content.title,
+    description: content.description,
+    tags: content.tags,
+    categoryLabel: getCategoryLabel(category, locale),
+    locale,
+    fallbackFields: content.fallbackFields
+  });
+};
+
+// 태그 집계용 aggregation 식 - 요청 언어 태그가 없으면 기본 언어 태그
+const localizedTagsExpression = (locale) => {
+  if (locale === DEFAULT_LOCALE) return '$tags';
+
+  const translated = { $ifNull: [`$translations.${locale}.tags`, []] };
+  return { $cond: [{ $gt: [{ $size: translated }, 0] }, translated, '$tags'] };
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  TRANSLATED_LOCALES,
+  TRANSLATABLE_FIELDS,
+  resolveLocale,
+  getFallbackChain,
+  findMissingTranslations,
+  localizeContent,
+  getCategoryLabel,
+  localizePortfolio,
+  localizedTagsExpression
+};
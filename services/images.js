@@ -0,0 +1,150 @@
+const sharp = require('sharp');
+
+// 생성할 가로 크기 - 원본보다 큰 크기는 만들지 않음
+const IMAGE_WIDTHS = (process.env.IMAGE_WIDTHS || '320,640,1280')
+  .split(',')
+  .map(width => parseInt(width))
+  .filter(width => width > 0)
+  .sort((a, b) => a - b);
+// 원본도 이 크기로 줄여서 저장
+const IMAGE_MAX_WIDTH = parseInt(process.env.IMAGE_MAX_WIDTH) || 2048;
+// 처리할 수 있는 최대 픽셀 수 - 넘으면 디코딩하지 않음 (압축 폭탄 방지)
+const IMAGE_MAX_PIXELS = parseInt(process.env.IMAGE_MAX_PIXELS) || 40000000;
+// ?w= 파라미터 최대값
+const MAX_REQUEST_WIDTH = 4096;
+
+// 원본 포맷과 함께 만드는 변환 포맷 (브라우저 선호 순서)
+const MODERN_FORMATS = ['avif', 'webp'];
+const IMAGE_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const ENCODE_OPTIONS = {
+  avif: { quality: 55, effort: 2 },
+  webp: { quality: 80 },
+  jpeg: { quality: 82, mozjpeg: true },
+  png: { compressionLevel: 9 }
+};
+
+// 변환할 수 있는 입력 포맷 (sharp metadata 기준, AVIF는 heif로 표시됨)
+// GIF 애니메이션, SVG 등은 원본 그대로 저장
+const PROCESSABLE_FORMATS = ['jpeg', 'png', 'webp', 'heif', 'tiff'];
+
+// ?format= 파라미터 별칭
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// 지정한 크기/포맷으로 인코딩 - EXIF 방향을 적용한 뒤 메타데이터(EXIF, GPS 등)는 제거
+const encode = async (buffer, width, format) => {
+  const { data, info } = await sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS })
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, ENCODE_OPTIONS[format])
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    format,
+    contentType: CONTENT_TYPES[format],
+    size: data.length
+  };
+};
+
+// 업로드 이미지 처리 - 메타데이터를 제거한 원본과 크기/포맷별 변환본 생성
+// 처리할 수 없는 이미지면 null 반환
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+
+  if (!PROCESSABLE_FORMATS.includes(metadata.format) || (metadata.pages || 1) > 1) {
+    return null;
+  }
+
+  // 원본 포맷 - 브라우저가 표시하지 못하는 포맷은 JPEG로 저장
+  const baseFormat = ['jpeg', 'png', 'webp'].includes(metadata.format) ? metadata.format : 'jpeg';
+  // EXIF 방향이 90도 회전이면 가로/세로가 바뀜
+  const sourceWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+  const originalWidth = Math.min(sourceWidth, IMAGE_MAX_WIDTH);
+
+  const widths = IMAGE_WIDTHS.filter(width => width < originalWidth).concat(originalWidth);
+  const formats = MODERN_FORMATS.concat(baseFormat).filter((format, index, list) => list.indexOf(format) === index);
+
+  const original = await encode(buffer, originalWidth, baseFormat);
+  const variants = [];
+  // 메모리 사용을 줄이기 위해 순서대로 처리
+  for (const width of widths) {
+    for (const format of formats) {
+      if (width === originalWidth && format === baseFormat) continue;
+      variants.push(await encode(buffer, width, format));
+    }
+  }
+
+  return { original, variants };
+};
+
+// ?w=, ?format= 파라미터 확인 - 잘못된 값이면 error 반환
+const parseImageQuery = (query) => {
+  const result = { width: null, format: null };
+
+  if (query.w !== undefined) {
+    const width = parseInt(query.w);
+    if (!/^\d+$/.test(String(query.w)) || width < 1 || width > MAX_REQUEST_WIDTH) {
+      return { error: `w는 1~${MAX_REQUEST_WIDTH} 사이의 숫자여야 합니다.` };
+    }
+    result.width = width;
+  }
+
+  if (query.format !== undefined) {
+    const format = FORMAT_ALIASES[query.format] || query.format;
+    if (format !== 'original' && !IMAGE_FORMATS.includes(format)) {
+      return { error: `format은 ${IMAGE_FORMATS.concat('original').join(', ')} 중 하나여야 합니다.` };
+    }
+    result.format = format;
+  }
+
+  return result;
+};
+
+// 요청에 맞는 변환본 선택
+// variants: [{ fileId, width, format, original }] - 원본 포함
+// 포맷을 지정하지 않으면 Accept 헤더로 AVIF > WebP > 원본 포맷 순서로 선택
+// 요청한 가로 크기 이상인 것 중 가장 작은 크기, 없으면 가장 큰 크기
+const selectVariant = (variants, { width = null, format = null, accept = '' } = {}) => {
+  const original = variants.find(variant => variant.original) || variants[variants.length - 1];
+  if (format === 'original') return original;
+
+  const available = variants.map(variant => variant.format);
+  let selectedFormat = format && available.includes(format) ? format : null;
+  if (!selectedFormat) {
+    selectedFormat = format
+      ? original.format
+      : MODERN_FORMATS.find(item => available.includes(item) && accept.includes(CONTENT_TYPES[item])) || original.format;
+  }
+
+  const candidates = variants
+    .filter(variant => variant.format === selectedFormat)
+    .sort((a, b) => a.width - b.width);
+  if (candidates.length === 0) return original;
+  if (!width) return candidates[candidates.length - 1];
+
+  return candidates.find(variant => variant.width >= width) || candidates[candidates.length - 1];
+};
+
+module.exports = {
+  IMAGE_WIDTHS,
+  IMAGE_MAX_PIXELS,
+  IMAGE_FORMATS,
+  processImage,
+  parseImageQuery,
+  selectVariant
+};
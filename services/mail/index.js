@@ -0,0 +1,196 @@
+const { MailJob } = require('../../models/MailJob');
+const { Inquiry } = require('../../models/Inquiry');
+const { createTransport, resolveTransportName } = require('./transports');
+
+const RETRY_BASE_MS = parseInt(process.env.MAIL_RETRY_BASE_MS) || 60 * 1000; // 1분
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000; // 6시간
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 6;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // 발송 중 상태가 5분 이상이면 중단된 것으로 간주
+
+// transport는 프로세스(서버리스 인스턴스)당 한 번만 생성하여 재사용
+let transport = null;
+let transportName = '';
+
+const getTransport = () => {
+  if (!transport) {
+    transportName = resolveTransportName();
+    transport = createTransport(transportName);
+  }
+  return transport;
+};
+
+// 설정 변경 시 transport 재생성 (테스트용)
+const resetTransport = () => {
+  transport = null;
+  transportName = '';
+};
+
+const getDefaultFrom = () => {
+  return process.env.MAIL_FROM || process.env.SMTP_USER || process.env.GMAIL_USER || 'no-reply@fornerds.com';
+};
+
+// 내부 알림 수신 주소
+const getInboxAddress = () => {
+  return process.env.MAIL_TO || process.env.GMAIL_USER || getDefaultFrom();
+};
+
+// 수신 거부/주소 오류 등 재시도해도 성공할 수 없는 오류
+const isPermanentError = (error) => {
+  return error.responseCode >= 550 && error.responseCode < 560;
+};
+
+// 지수 백오프 + 최대 10% 지터
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+// 문의 알림 메일 발송 결과를 문의에 반영
+const syncInquiry = async (job) => {
+  if (!job.inquiry || job.kind !== 'inquiry-notification') return;
+
+  const update = { emailError: job.lastError };
+  if (job.status === 'sent') update.emailStatus = 'sent';
+  if (job.status === 'dead') update.emailStatus = 'failed';
+
+  try {
+    await Inquiry.updateOne({ _id: job.inquiry }, update);
+  } catch (error) {
+    console.error('문의 메일 상태 반영 오류:', error);
+  }
+};
+
+// 잠금을 획득한 잡 한 건 발송
+const deliver = async (job) => {
+  job.attempts += 1;
+  job.lockedAt = null;
+
+  try {
+    const info = await getTransport().sendMail(job.message);
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.messageId = info.messageId || '';
+    job.lastError = '';
+  } catch (error) {
+    console.error(`메일 발송 실패 (${job.attempts}/${job.maxAttempts}):`, error.message);
+    job.failures.push({
+      message: error.message,
+      code: error.code,
+      responseCode: error.responseCode
+    });
+    job.lastError = error.message;
+
+    if (isPermanentError(error) || job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+    } else {
+      job.status = 'retrying';
+      job.nextAttemptAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    }
+  }
+
+  job.transport = transportName;
+  await job.save();
+  await syncInquiry(job);
+  return job;
+};
+
+// 발송할 잡 잠금 - 여러 인스턴스가 같은 잡을 중복 발송하지 않도록 원자적으로 상태 변경
+const claimJob = (filter) => {
+  return MailJob.findOneAndUpdate(
+    filter,
+    { $set: { status: 'sending', lockedAt: new Date() } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// 메일을 outbox에 저장하고 즉시 한 번 발송 시도
+const enqueueMail = async (message, options = {}) => {
+  const job = await MailJob.create({
+    message: Object.assign({ from: getDefaultFrom() }, message),
+    kind: options.kind || 'generic',
+    inquiry: options.inquiry || null,
+    maxAttempts: options.maxAttempts || MAX_ATTEMPTS
+  });
+
+  if (options.sendNow === false) return job;
+
+  const claimed = await claimJob({ _id: job._id, status: 'queued' });
+  return claimed ? deliver(claimed) : job;
+};
+
+// outbox 저장이 불가능할 때(DB 장애)는 직접 발송
+const sendMail = async (message, options = {}) => {
+  try {
+    return await enqueueMail(message, options);
+  } catch (error) {
+    console.error('메일 outbox 저장 실패, 직접 발송합니다:', error.message);
+    await getTransport().sendMail(Object.assign({ from: getDefaultFrom() }, message));
+    return null;
+  }
+};
+
+// 발송 시각이 된 잡 처리
+const processQueue = async ({ limit = 20 } = {}) => {
+  const now = new Date();
+  const results = { sent: 0, retrying: 0, dead: 0, recovered: 0 };
+
+  // 발송 도중 중단된 잡 복구
+  const recovered = await MailJob.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+    { $set: { status: 'retrying', lockedAt: null } }
+  );
+  results.recovered = recovered.modifiedCount || 0;
+
+  for (let i = 0; i < limit; i++) {
+    const job = await claimJob({
+      status: { $in: ['queued', 'retrying'] },
+      nextAttemptAt: { $lte: now }
+    });
+    if (!job) break;
+
+    const done = await deliver(job);
+    results[done.status] += 1;
+  }
+
+  return results;
+};
+
+// dead/retrying 잡을 다시 대기열에 넣기
+const requeueJob = (id) => {
+  return MailJob.findOneAndUpdate(
+    { _id: id, status: { $in: ['dead', 'retrying'] } },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lockedAt: null } },
+    { new: true }
+  );
+};
+
+// 주기적으로 대기열 처리 (상시 실행 서버용, 서버리스는 cron 엔드포인트 사용)
+const startMailWorker = (intervalMs = parseInt(process.env.MAIL_QUEUE_INTERVAL_MS) || 30 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processQueue();
+    } catch (error) {
+      console.error('메일 대기열 처리 오류:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendMail,
+  enqueueMail,
+  processQueue,
+  requeueJob,
+  startMailWorker,
+  getInboxAddress,
+  getDefaultFrom,
+  resetTransport
+};
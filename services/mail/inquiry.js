@@ -0,0 +1,85 @@
+const { Portfolio } = require('../../models/Portfolio');
+const { Category } = require('../../models/Category');
+const { renderTemplate } = require('./templates');
+const { sendMail, getInboxAddress } = require('./index');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RELATED_PORTFOLIO_LIMIT = 3;
+
+const getSiteUrl = () => (process.env.SITE_URL || '').replace(/\/$/, '');
+
+// 프로젝트 유형이 지정된 카테고리(하위 카테고리 포함)의 게시 중인 포트폴리오 (없으면 추천 포트폴리오)
+const findRelatedPortfolios = async (projectType) => {
+  const matched = await Category.find({ projectTypes: projectType }).select('name');
+  const categories = await Category.expandNames(matched.map(category => category.name));
+  const select = 'title description url category';
+
+  let portfolios = await Portfolio.find(Object.assign({ category: { $in: categories } }, Portfolio.publicFilter()))
+    .sort({ featured: -1, createdAt: -1 })
+    .limit(RELATED_PORTFOLIO_LIMIT)
+    .select(select);
+
+  if (portfolios.length === 0) {
+    portfolios = await Portfolio.find(Object.assign({ featured: true }, Portfolio.publicFilter()))
+      .sort({ createdAt: -1 })
+      .limit(RELATED_PORTFOLIO_LIMIT)
+      .select(select);
+  }
+
+  return portfolios;
+};
+
+const toTemplateData = (inquiry) => ({
+  company: inquiry.company,
+  name: inquiry.name,
+  phone: inquiry.phone,
+  email: inquiry.email,
+  projectType: inquiry.projectType,
+  message: inquiry.message,
+  siteUrl: getSiteUrl()
+});
+
+// 내부 문의 알림
+const sendInquiryNotification = (inquiry, options = {}) => {
+  const data = toTemplateData(inquiry);
+  if (data.siteUrl && options.inquiry) {
+    data.adminUrl = `${data.siteUrl}/admin.html#inquiry-${inquiry._id}`;
+  }
+
+  const rendered = renderTemplate('inquiryNotification', process.env.MAIL_LOCALE, data);
+  return sendMail({
+    to: getInboxAddress(),
+    replyTo: EMAIL_PATTERN.test(inquiry.email) ? inquiry.email : undefined,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text
+  }, Object.assign({ kind: 'inquiry-notification' }, options));
+};
+
+// 문의자 확인 자동 응답 - 관련 포트폴리오 목록 포함
+const sendInquiryAutoReply = async (inquiry, options = {}) => {
+  if (!EMAIL_PATTERN.test(inquiry.email || '')) return null;
+
+  let portfolios = [];
+  try {
+    portfolios = await findRelatedPortfolios(inquiry.projectType);
+  } catch (error) {
+    console.error('관련 포트폴리오 조회 오류:', error);
+  }
+
+  const data = Object.assign(toTemplateData(inquiry), { portfolios });
+  const rendered = renderTemplate('inquiryAutoReply', inquiry.locale, data);
+  return sendMail({
+    to: inquiry.email,
+    replyTo: getInboxAddress(),
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text
+  }, Object.assign({ kind: 'inquiry-auto-reply' }, options));
+};
+
+module.exports = {
+  sendInquiryNotification,
+  sendInquiryAutoReply,
+  findRelatedPortfolios
+};
@@ -0,0 +1,225 @@
+// 메일 템플릿 - 모든 값은 기본적으로 HTML 이스케이프되며, raw()로 감싼 값만 그대로 출력
+
+const SUPPORTED_LOCALES = ['ko', 'en'];
+const DEFAULT_LOCALE = 'ko';
+
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// 이스케이프하지 않을 HTML 조각
+class RawHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const raw = (value) => new RawHtml(value);
+
+// 태그드 템플릿 - 보간 값을 자동 이스케이프 (배열은 이어붙임)
+const html = (strings, ...values) => {
+  const output = strings.reduce((result, string, index) => {
+    if (index >= values.length) return result + string;
+    const value = values[index];
+    const rendered = [].concat(value).map(item => {
+      return item instanceof RawHtml ? item.value : escapeHtml(item);
+    }).join('');
+    return result + string + rendered;
+  }, '');
+  return raw(output);
+};
+
+// 줄바꿈을 <br>로 변환 (이스케이프 후)
+const multiline = (value) => raw(escapeHtml(value).replace(/\r?\n/g, '<br>'));
+
+const orDash = (value) => (value ? value : '-');
+
+// http(s) 링크만 허용
+const safeUrl = (value) => (/^https?:\/\//i.test(String(value || '')) ? value : '');
+
+// 공통 레이아웃
+const layout = (body, footer) => html`<!DOCTYPE html>
+<html>
+<body style="font-family: 'Pretendard', 'Apple SD Gothic Neo', sans-serif; color: #2E3440; line-height: 1.6;">
+  ${body}
+  <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+  <p style="font-size: 12px; color: #6b7280;">${footer}</p>
+</body>
+</html>`;
+
+// 포트폴리오 목록 (자동 응답용)
+const portfolioListHtml = (portfolios) => html`
+  <ul style="padding-left: 20px;">
+    ${portfolios.map(item => html`
+    <li style="margin-bottom: 8px;">
+      ${safeUrl(item.url) ? html`<a href="${safeUrl(item.url)}" style="color: #2E3440; font-weight: 600;">${item.title}</a>` : html`<strong>${item.title}</strong>`}
+      <br><span style="color: #6b7280; font-size: 14px;">${item.description}</span>
+    </li>`)}
+  </ul>`;
+
+const portfolioListText = (portfolios) => {
+  return portfolios.map(item => `- ${item.title}${safeUrl(item.url) ? ` (${item.url})` : ''}\n  ${item.description}`).join('\n');
+};
+
+const templates = {
+  ko: {
+    // 내부 문의 알림
+    inquiryNotification: {
+      subject: (data) => `[포너즈] ${orDash(data.company)} - ${orDash(data.projectType)} 문의`,
+      html: (data) => layout(html`
+  <h2>포너즈 웹사이트 문의</h2>
+  <p><strong>회사명:</strong> ${orDash(data.company)}</p>
+  <p><strong>담당자명:</strong> ${orDash(data.name)}</p>
+  <p><strong>연락처:</strong> ${orDash(data.phone)}</p>
+  <p><strong>이메일:</strong> ${orDash(data.email)}</p>
+  <p><strong>프로젝트 유형:</strong> ${orDash(data.projectType)}</p>
+  <p><strong>프로젝트 설명:</strong></p>
+  <p>${multiline(orDash(data.message))}</p>
+  ${data.adminUrl ? html`<p><a href="${data.adminUrl}">관리자 문의함에서 보기</a></p>` : ''}`,
+      '이 메일은 포너즈 웹사이트의 문의 폼을 통해 발송되었습니다.'),
+      text: (data) => [
+        '포너즈 웹사이트 문의',
+        '',
+        `회사명: ${orDash(data.company)}`,
+        `담당자명: ${orDash(data.name)}`,
+        `연락처: ${orDash(data.phone)}`,
+        `이메일: ${orDash(data.email)}`,
+        `프로젝트 유형: ${orDash(data.projectType)}`,
+        '',
+        '프로젝트 설명:',
+        orDash(data.message),
+        data.adminUrl ? `\n관리자 문의함: ${data.adminUrl}` : '',
+        '',
+        '--',
+        '이 메일은 포너즈 웹사이트의 문의 폼을 통해 발송되었습니다.'
+      ].join('\n')
+    },
+
+    // 문의자 자동 응답
+    inquiryAutoReply: {
+      subject: () => '[포너즈] 문의가 접수되었습니다',
+      html: (data) => layout(html`
+  <h2>${orDash(data.name)}님, 문의해주셔서 감사합니다.</h2>
+  <p>${orDash(data.company)}의 <strong>${orDash(data.projectType)}</strong> 문의가 정상적으로 접수되었습니다.<br>
+  담당자가 내용을 검토한 후 영업일 기준 1~2일 내에 연락드리겠습니다.</p>
+  ${data.portfolios.length > 0 ? html`
+  <h3>관련 프로젝트 사례</h3>
+  ${portfolioListHtml(data.portfolios)}` : ''}
+  <p><strong>접수 내용</strong></p>
+  <p style="background: #F5F7FA; padding: 12px; border-radius: 8px;">${multiline(orDash(data.message))}</p>`,
+      html`본 메일은 발신 전용입니다. 추가 문의는 이 메일에 회신해주세요.${data.siteUrl ? html` · <a href="${data.siteUrl}">FORNERDS</a>` : ''}`),
+      text: (data) => [
+        `${orDash(data.name)}님, 문의해주셔서 감사합니다.`,
+        '',
+        `${orDash(data.company)}의 ${orDash(data.projectType)} 문의가 정상적으로 접수되었습니다.`,
+        '담당자가 내용을 검토한 후 영업일 기준 1~2일 내에 연락드리겠습니다.',
+        data.portfolios.length > 0 ? `\n관련 프로젝트 사례\n${portfolioListText(data.portfolios)}` : '',
+        '',
+        '접수 내용:',
+        orDash(data.message),
+        '',
+        '--',
+        'FORNERDS',
+        data.siteUrl || ''
+      ].join('\n')
+    }
+  },
+
+  en: {
+    inquiryNotification: {
+      subject: (data) => `[FORNERDS] ${orDash(data.company)} - ${orDash(data.projectType)} inquiry`,
+      html: (data) => layout(html`
+  <h2>New website inquiry</h2>
+  <p><strong>Company:</strong> ${orDash(data.company)}</p>
+  <p><strong>Contact name:</strong> ${orDash(data.name)}</p>
+  <p><strong>Phone:</strong> ${orDash(data.phone)}</p>
+  <p><strong>Email:</strong> ${orDash(data.email)}</p>
+  <p><strong>Project type:</strong> ${orDash(data.projectType)}</p>
+  <p><strong>Project description:</strong></p>
+  <p>${multiline(orDash(data.message))}</p>
+  ${data.adminUrl ? html`<p><a href="${data.adminUrl}">Open in the admin inbox</a></p>` : ''}`,
+      'This message was sent from the contact form on the FORNERDS website.'),
+      text: (data) => [
+        'New website inquiry',
+        '',
+        `Company: ${orDash(data.company)}`,
+        `Contact name: ${orDash(data.name)}`,
+        `Phone: ${orDash(data.phone)}`,
+        `Email: ${orDash(data.email)}`,
+        `Project type: ${orDash(data.projectType)}`,
+        '',
+        'Project description:',
+        orDash(data.message),
+        data.adminUrl ? `\nAdmin inbox: ${data.adminUrl}` : '',
+        '',
+        '--',
+        'This message was sent from the contact form on the FORNERDS website.'
+      ].join('\n')
+    },
+
+    inquiryAutoReply: {
+      subject: () => '[FORNERDS] We received your inquiry',
+      html: (data) => layout(html`
+  <h2>Thank you for contacting us, ${orDash(data.name)}.</h2>
+  <p>We have received your <strong>${orDash(data.projectType)}</strong> inquiry for ${orDash(data.company)}.<br>
+  Our team will review it and get back to you within 1-2 business days.</p>
+  ${data.portfolios.length > 0 ? html`
+  <h3>Related case studies</h3>
+  ${portfolioListHtml(data.portfolios)}` : ''}
+  <p><strong>Your message</strong></p>
+  <p style="background: #F5F7FA; padding: 12px; border-radius: 8px;">${multiline(orDash(data.message))}</p>`,
+      html`This is an automated confirmation. Reply to this email if you have anything to add.${data.siteUrl ? html` · <a href="${data.siteUrl}">FORNERDS</a>` : ''}`),
+      text: (data) => [
+        `Thank you for contacting us, ${orDash(data.name)}.`,
+        '',
+        `We have received your ${orDash(data.projectType)} inquiry for ${orDash(data.company)}.`,
+        'Our team will review it and get back to you within 1-2 business days.',
+        data.portfolios.length > 0 ? `\nRelated case studies\n${portfolioListText(data.portfolios)}` : '',
+        '',
+        'Your message:',
+        orDash(data.message),
+        '',
+        '--',
+        'FORNERDS',
+        data.siteUrl || ''
+      ].join('\n')
+    }
+  }
+};
+
+// 지원 언어로 정규화 (ko-KR → ko, 미지원 → 기본값)
+const normalizeLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+// 템플릿 렌더링 - { subject, html, text } 반환
+const renderTemplate = (name, locale, data = {}) => {
+  const template = templates[normalizeLocale(locale)][name];
+  if (!template) {
+    throw new Error(`메일 템플릿을 찾을 수 없습니다: ${name}`);
+  }
+
+  const context = Object.assign({ portfolios: [] }, data);
+  return {
+    subject: template.subject(context).replace(/[\r\n]+/g, ' '),
+    html: template.html(context).toString(),
+    text: template.text(context).replace(/\n{3,}/g, '\n\n').trim()
+  };
+};
+
+module.exports = {
+  renderTemplate,
+  normalizeLocale,
+  escapeHtml,
+  SUPPORTED_LOCALES
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// 파일 outbox 기본 경로 - 서버리스 환경에서는 /tmp만 쓰기 가능
+const DEFAULT_OUTBOX_DIR = process.env.VERCEL ?
+  '/tmp/mail-outbox' :
+  path.join(__dirname, '..', '..', 'tmp', 'mail-outbox');
+
+// 일반 SMTP 서버
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST 환경변수가 설정되지 않았습니다.');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+};
+
+// Gmail SMTP
+const createGmailTransport = () => {
+  if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
+    throw new Error('Gmail 인증 정보가 환경변수에 설정되지 않았습니다.');
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_APP_PASSWORD
+    }
+  });
+};
+
+// 파일 outbox - 메일을 JSON 파일로 저장 (개발/테스트용 로컬 SMTP 대체)
+const createFileTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const filename = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`;
+      await fs.promises.writeFile(path.join(outboxDir, filename), info.message);
+
+      return Object.assign({}, info, { path: path.join(outboxDir, filename) });
+    }
+  };
+};
+
+// 콘솔 출력
+const createConsoleTransport = () => {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+      const mail = JSON.parse(info.message);
+      console.log(`📧 [메일] ${mail.subject} → ${[].concat(mail.to || []).map(to => to.address || to).join(', ')}`);
+      if (mail.text) console.log(mail.text);
+      return info;
+    }
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  gmail: createGmailTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// 사용할 transport 이름 결정 - MAIL_TRANSPORT 미설정 시 환경변수로 추론
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) return 'gmail';
+  return 'console';
+};
+
+const createTransport = (name = resolveTransportName()) => {
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`지원하지 않는 메일 transport입니다: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createTransport,
+  resolveTransportName,
+  TRANSPORT_NAMES: Object.keys(TRANSPORT_FACTORIES)
+};
@@ -0,0 +1,47 @@
+// 갤러리에 업로드할 수 있는 동영상 형식
+const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+
+// 갤러리 이미지 최대 크기 (대표 이미지 업로드와 동일)
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+// 갤러리 동영상 최대 크기
+const MAX_VIDEO_SIZE = (parseInt(process.env.MEDIA_MAX_VIDEO_MB) || 50) * 1024 * 1024;
+
+// YouTube 동영상 ID 형식 (11자)
+const YOUTUBE_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+
+// 업로드 파일의 미디어 종류 - 지원하지 않는 형식이면 null
+const getMediaType = (mimetype) => {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (VIDEO_TYPES.includes(mimetype)) return 'video';
+  return null;
+};
+
+// YouTube 링크에서 동영상 ID 추출 - 잘못된 링크면 null
+// 지원 형식: watch?v=, youtu.be/, embed/, shorts/, live/
+const parseYouTubeId = (value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    return null;
+  }
+
+  let id = null;
+  if (url.hostname === 'youtu.be') {
+    id = url.pathname.split('/')[1];
+  } else if (YOUTUBE_HOSTS.includes(url.hostname)) {
+    const [, section, pathId] = url.pathname.split('/');
+    id = section === 'watch' ? url.searchParams.get('v') : (['embed', 'shorts', 'live'].includes(section) ? pathId : null);
+  }
+
+  return id && YOUTUBE_ID_PATTERN.test(id) ? id : null;
+};
+
+module.exports = {
+  VIDEO_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_VIDEO_SIZE,
+  getMediaType,
+  parseYouTubeId
+};
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { Portfolio } = require('../models/Portfolio');
+const { PortfolioRevision } = require('../models/PortfolioRevision');
+const { UploadedFile } = require('../models/UploadedFile');
+const { getStorage } = require('./storage');
+const { deleteFile } = require('../middleware/upload');
+
+// 업로드 후 포트폴리오에 연결되기 전의 파일을 지우지 않도록 두는 유예 시간
+const ORPHAN_GRACE_HOURS = parseInt(process.env.ORPHAN_GRACE_HOURS) || 24;
+
+// 포트폴리오(휴지통 포함)와 리비전이 참조하는 파일 ID (대표 이미지, 갤러리)
+const getReferencedFileIds = async () => {
+  const lists = await Promise.all([
+    Portfolio.distinct('imageId', { imageId: { $ne: null } }),
+    Portfolio.distinct('media.fileId'),
+    PortfolioRevision.distinct('snapshot.imageId', { 'snapshot.imageId': { $ne: null } }),
+    PortfolioRevision.distinct('snapshot.media.fileId')
+  ]);
+  return new Set([].concat(...lists).filter(Boolean).map(String));
+};
+
+// 파일 하나가 참조 중인지 확인 - 목록 조회 후 새로 연결된 파일을 지우지 않도록 삭제 직전에 사용
+const isFileReferenced = async (fileId) => {
+  if (!mongoose.Types.ObjectId.isValid(fileId)) return false;
+
+  const id = new mongoose.Types.ObjectId(fileId);
+  const [current, revision] = await Promise.all([
+    Portfolio.exists({ $or: [{ imageId: id }, { 'media.fileId': id }] }),
+    PortfolioRevision.exists({ $or: [{ 'snapshot.imageId': id }, { 'snapshot.media.fileId': id }] })
+  ]);
+  return Boolean(current || revision);
+};
+
+// 저장소에 없는 파일을 대표 이미지나 갤러리로 참조하는 포트폴리오 (휴지통 포함)
+const findBrokenPortfolios = async (existingIds) => {
+  const portfolios = await Portfolio.find({
+    $or: [{ imageId: { $ne: null } }, { 'media.fileId': { $ne: null } }]
+  }).select('title imageId media deletedAt').lean();
+
+  return portfolios
+    .map(portfolio => ({
+      id: portfolio._id.toString(),
+      title: portfolio.title,
+      deleted: Boolean(portfolio.deletedAt),
+      imageId: portfolio.imageId && !existingIds.has(String(portfolio.imageId)) ? String(portfolio.imageId) : null,
+      media: (portfolio.media || [])
+        .filter(item => item.fileId && !existingIds.has(String(item.fileId)))
+        .map(item => String(item.fileId))
+    }))
+    .filter(item => item.imageId || item.media.length > 0);
+};
+
+// 고아 파일 조회 - 포트폴리오와 리비전 어디에서도 참조하지 않고 유예 시간이 지난 파일
+// 변환본은 원본과 함께 판단하고, 원본이 없는 변환본만 따로 고아로 분류
+// 반환: { scanned, recent, orphans, bytes, broken, staleRecords }
+const findOrphanFiles = async ({ graceHours = ORPHAN_GRACE_HOURS, now = new Date() } = {}) => {
+  const storage = getStorage();
+  const referenced = await getReferencedFileIds();
+  const cutoff = now.getTime() - graceHours * 60 * 60 * 1000;
+
+  const existingIds = new Set();
+  const candidates = [];
+  const variants = [];
+  let recent = 0;
+
+  for await (const id of storage.list()) {
+    const info = await storage.stat(id);
+    if (!info) continue;
+    existingIds.add(info.id);
+
+    // 원본이 참조 중이면 변환본도 사용 중
+    const variantOf = info.metadata.variantOf ? String(info.metadata.variantOf) : null;
+    if (referenced.has(variantOf || info.id)) continue;
+
+    if (info.uploadDate.getTime() > cutoff) {
+      recent += 1;
+    } else if (variantOf) {
+      variants.push(info);
+    } else {
+      candidates.push(info);
+    }
+  }
+
+  const toReport = (info) => ({
+    id: info.id,
+    filename: info.filename,
+    contentType: info.contentType,
+    length: info.length,
+    uploadDate: info.uploadDate,
+    variantOf: info.metadata.variantOf ? String(info.metadata.variantOf) : null
+  });
+
+  const orphans = candidates.map(toReport);
+  const orphanIds = new Set(orphans.map(item => item.id));
+  let bytes = orphans.reduce((sum, item) => sum + item.length, 0);
+
+  for (const info of variants) {
+    const variantOf = String(info.metadata.variantOf);
+    // 고아 원본의 변환본은 원본과 함께 삭제
+    if (orphanIds.has(variantOf)) {
+      bytes += info.length;
+    } else if (!existingIds.has(variantOf)) {
+      orphans.push(toReport(info));
+      bytes += info.length;
+    }
+  }
+
+  const records = await UploadedFile.find().select('fileId').lean();
+  const staleRecords = records.filter(record => !existingIds.has(String(record.fileId))).length;
+
+  return {
+    scanned: existingIds.size,
+    recent,
+    orphans,
+    bytes,
+    broken: await findBrokenPortfolios(existingIds),
+    staleRecords
+  };
+};
+
+// 고아 파일 정리 - dryRun이면 조회만 하고 삭제하지 않음
+// 저장소에 없는 파일의 업로드 해시 기록도 함께 정리
+const collectOrphanFiles = async ({ dryRun = false, graceHours = ORPHAN_GRACE_HOURS, now = new Date() } = {}) => {
+  const report = await findOrphanFiles({ graceHours, now });
+  const results = Object.assign(report, { dryRun, deleted: 0, skipped: 0, failed: 0, errors: [] });
+  if (dryRun) return results;
+
+  for (const orphan of report.orphans) {
+    try {
+      if (await isFileReferenced(orphan.id)) {
+        results.skipped += 1;
+        continue;
+      }
+      await deleteFile(orphan.id);
+      results.deleted += 1;
+    } catch (error) {
+      results.failed += 1;
+      results.errors.push({ id: orphan.id, filename: orphan.filename, error: error.message });
+    }
+  }
+
+  if (report.staleRecords > 0) {
+    const records = await UploadedFile.find().select('fileId').lean();
+    for (const record of records) {
+      if (!(await getStorage().stat(String(record.fileId)))) {
+        await UploadedFile.deleteOne({ _id: record._id });
+      }
+    }
+  }
+
+  if (results.deleted > 0 || results.failed > 0) {
+    console.log(`고아 파일 정리 - 삭제: ${results.deleted}개, 실패: ${results.failed}개`);
+  }
+  return results;
+};
+
+module.exports = {
+  ORPHAN_GRACE_HOURS,
+  getReferencedFileIds,
+  findOrphanFiles,
+  collectOrphanFiles
+};
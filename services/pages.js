@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_COLOR, getProjectTypes } = require('../models/Category');
+const { getAllowedOrigins } = require('../config/cors');
+
+const SITE_NAME = 'FORNERDS';
+const SITE_TITLE = 'FORNERDS - AI 기반 솔루션 전문 개발사';
+const SITE_DESCRIPTION = 'AI 챗봇, 엔터프라이즈 시스템, IoT, 데이터 플랫폼까지 FORNERDS가 실제로 구현한 프로젝트를 소개합니다.';
+
+// 메인 페이지에서 처음 표시할 카드 수 (나머지는 더보기)
+const INITIAL_CARDS = 6;
+// 메타 설명 최대 길이
+const DESCRIPTION_LENGTH = 160;
+
+// views/ 템플릿 (프로세스당 한 번 읽음)
+const templates = new Map();
+
+const loadTemplate = (name) => {
+  if (!templates.has(name)) {
+    templates.set(name, fs.readFileSync(path.join(__dirname, '..', 'views', `${name}.html`), 'utf8'));
+  }
+  return templates.get(name);
+};
+
+// 템플릿의 {{이름}}을 값으로 변경 - 값은 이미 이스케이프된 HTML
+const renderTemplate = (name, values) => {
+  return loadTemplate(name).replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : ''));
+};
+
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// JSON-LD 구조화 데이터 - 내용에 </script>가 있어도 태그가 끝나지 않도록 < 이스케이프
+const renderJsonLd = (data) => {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+};
+
+// 사이트 기본 주소 - 페이지와 피드는 CDN에 캐시되므로 위조된 Host 헤더가 주소에 들어가지 않도록
+// SITE_URL을 사용하고, 없으면(로컬 개발) 허용 도메인에 포함된 요청 주소만 사용
+// 서버리스 환경에서 없으면 경고 후 첫 번째 허용 도메인 사용 (API 등 다른 기능은 그대로 동작)
+if (process.env.VERCEL && !process.env.SITE_URL) {
+  console.warn('SITE_URL 환경변수가 설정되지 않았습니다. 페이지와 피드의 주소에 첫 번째 허용 도메인을 사용합니다.');
+}
+
+const getSiteUrl = (req) => {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, '');
+
+  const origins = getAllowedOrigins();
+  if (process.env.VERCEL) return origins[0];
+  const origin = `${req.protocol}://${req.get('host')}`;
+  return origins.includes(origin) ? origin : origins[0];
+};
+
+// http(s) 링크만 허용 - javascript: 등은 링크로 만들지 않음
+const safeUrl = (value) => (/^https?:\/\//i.test(String(value || '')) ? value : '');
+
+const toAbsoluteUrl = (siteUrl, url) => {
+  if (!url || /^https?:\/\//.test(url)) return url || '';
+  return `${siteUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// 정적 이미지 파일명(image 필드)은 사이트 루트 기준 주소로 변경
+const toAssetUrl = (url) => {
+  if (!url || /^(https?:|data:|\/)/.test(url)) return url || '';
+  return `/${encodeURI(url)}`;
+};
+
+// 대표 이미지 주소 - 저장된 이미지는 width 크기 변환본
+const getCoverUrl = (portfolio, width = null) => {
+  if (!portfolio.imageBase64 && portfolio.imageId) {
+    return `/api/portfolio/image/${portfolio.imageId}${width ? `?w=${width}` : ''}`;
+  }
+  return toAssetUrl(portfolio.imageUrl);
+};
+
+// 공유 미리보기용 이미지 - data URI는 사용할 수 없으므로 제외
+const getShareImage = (portfolio, siteUrl) => {
+  const url = getCoverUrl(portfolio, 1280);
+  return url && !url.startsWith('data:') ? toAbsoluteUrl(siteUrl, url) : '';
+};
+
+// 메타 설명 - 줄바꿈을 공백으로 바꾸고 길이 제한
+const summarize = (text, length = DESCRIPTION_LENGTH) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+// 검색/공유용 메타 태그 (description, canonical, Open Graph, Twitter 카드)
+const renderMetaTags = ({ title, description, url, image = '', type = 'website' }) => {
+  const tags = [
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<meta property="og:site_name" content="${SITE_NAME}">`,
+    '<meta property="og:locale" content="ko_KR">',
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`
+  ];
+  if (image) {
+    tags.push(`<meta property="og:image" content="${escapeHtml(image)}">`);
+    tags.push(`<meta name="twitter:image" content="${escapeHtml(image)}">`);
+  }
+  return tags.join('\n    ');
+};
+
+// 피드 자동 검색용 링크 (routes/feeds.js)
+const renderFeedLinks = () => {
+  return [
+    `<link rel="alternate" type="application/rss+xml" title="${SITE_NAME} 포트폴리오 (RSS)" href="/feed.xml">`,
+    `<link rel="alternate" type="application/atom+xml" title="${SITE_NAME} 포트폴리오 (Atom)" href="/feed.atom">`,
+    `<link rel="alternate" type="application/feed+json" title="${SITE_NAME} 포트폴리오 (JSON Feed)" href="/feed.json">`
+  ].join('\n    ');
+};
+
+// 포트폴리오의 카테고리 문서 (등록되지 않은 이름이면 null)
+const findCategory = (categories, name) => categories.find(category => category.name === name) || null;
+
+// 카테고리 색상으로 카드 색상 결정 (이미지 배경, 카테고리 뱃지)
+const getCategoryStyle = (category) => {
+  const color = (category && category.color) || DEFAULT_COLOR;
+  return { frame: `from-${color}-50 to-gray-50`, badge: `bg-${color}-100 text-${color}-700` };
+};
+
+// 카테고리 뱃지 내용 - 아이콘이 있으면 이름 앞에 표시
+const renderCategoryName = (category, name) => {
+  const icon = category && category.icon ? `<i class="${escapeHtml(category.icon)} mr-1"></i>` : '';
+  return `${icon}${escapeHtml(name)}`;
+};
+
+// 카테고리와 모든 하위 카테고리 이름
+const getSubtreeNames = (category, categories) => {
+  const ids = [String(category._id)];
+  const names = [category.name];
+  for (let index = 0; index < ids.length; index++) {
+    categories.forEach(item => {
+      if (item.parent && String(item.parent) === ids[index] && !ids.includes(String(item._id))) {
+        ids.push(String(item._id));
+        names.push(item.name);
+      }
+    });
+  }
+  return names;
+};
+
+const renderTags = (tags) => {
+  return (tags || [])
+    .map(tag => `<span class="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded">${escapeHtml(tag)}</span>`)
+    .join('\n                                ');
+};
+
+// 카테고리 필터 버튼 - 최상위 카테고리 중 공개 포트폴리오가 있는 것만 (하위 카테고리 포함)
+// data-members: 버튼에 포함되는 카테고리 이름 (하위 카테고리 포함)
+const renderFilters = (portfolios, categories) => {
+  const groups = categories
+    .filter(category => !category.parent || !categories.some(item => item._id.equals(category.parent)))
+    .map(category => ({ name: category.name, members: getSubtreeNames(category, categories) }))
+    .filter(group => portfolios.some(portfolio => group.members.includes(portfolio.category)));
+
+  return [{ name: '전체', members: [] }].concat(groups).map((group, index) => {
+    const style = index === 0 ? 'bg-primary text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200';
+    const members = index === 0 ? '' : ` data-members="${escapeHtml(JSON.stringify(group.members))}"`;
+    return `<button class="px-4 py-2 ${style} rounded-lg text-sm" data-category="${escapeHtml(group.name)}"${members}>${escapeHtml(group.name)}</button>`;
+  }).join('\n                    ');
+};
+
+// 문의 폼의 프로젝트 유형 선택 항목 - 카테고리에 지정된 유형과 '기타'
+const renderProjectTypeOptions = (categories) => {
+  return getProjectTypes(categories)
+    .map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`)
+    .join('\n                                    ');
+};
+
+// 포트폴리오 카드 - 처음 INITIAL_CARDS개 이후는 더보기로 표시
+const renderCard = (portfolio, index, categories) => {
+  const category = findCategory(categories, portfolio.category);
+  const style = getCategoryStyle(category);
+  const coverUrl = getCoverUrl(portfolio, 640);
+  const pageUrl = escapeHtml(portfolio.pageUrl);
+  const image = coverUrl
+    ? `<img src="${escapeHtml(coverUrl)}" data-full-src="${escapeHtml(getCoverUrl(portfolio))}" alt="${escapeHtml(portfolio.title)}" class="w-full h-full object-cover"${index >= INITIAL_CARDS ? ' loading="lazy"' : ''}>`
+    : `<a href="${pageUrl}" class="w-full h-full flex items-center justify-center text-gray-300"><i class="ri-image-line text-5xl"></i></a>`;
+  const link = safeUrl(portfolio.url)
+    ? `<a href="${escapeHtml(portfolio.url)}" target="_blank" rel="noopener" class="text-primary hover:text-accent" aria-label="${escapeHtml(portfolio.title)} 사이트 방문">
+                                <i class="ri-external-link-line text-lg"></i>
+                            </a>`
+    : '';
+
+  return `<div class="card p-0 overflow-hidden portfolio-item${index >= INITIAL_CARDS ? ' hidden' : ''}" data-category="${escapeHtml(portfolio.category)}" data-id="${portfolio._id}">
+                    <div class="aspect-video bg-gradient-to-br ${style.frame}">
+                        ${image}
+                    </div>
+                    <div class="p-6">
+                        <div class="flex justify-between items-start mb-3">
+                            <h3 class="text-lg font-semibold text-secondary"><a href="${pageUrl}" class="hover:text-primary">${escapeHtml(portfolio.title)}</a></h3>
+                            <span class="px-2 py-1 ${style.badge} text-xs rounded-md">${renderCategoryName(category, portfolio.category)}</span>
+                        </div>
+                        <p class="text-gray-600 text-sm mb-4">${escapeHtml(summarize(portfolio.description, 80))}</p>
+                        <div class="flex justify-between items-center">
+                            <div class="flex gap-2">
+                                ${renderTags(portfolio.tags.slice(0, 3))}
+                            </div>
+                            ${link}
+                        </div>
+                    </div>
+                </div>`;
+};
+
+const renderGrid = (portfolios, categories, error = null) => {
+  if (error || portfolios.length === 0) {
+    const message = error ? '포트폴리오를 불러오지 못했습니다. 잠시 후 다시 시도해주세요.' : '등록된 포트폴리오가 없습니다.';
+    return `<p class="col-span-full text-center text-gray-500 py-12">${message}</p>`;
+  }
+  return portfolios.map((portfolio, index) => renderCard(portfolio, index, categories)).join('\n                \n                ');
+};
+
+// 메인 페이지 - 공개 포트폴리오 그리드를 서버에서 렌더링
+// error: 포트폴리오를 불러오지 못한 경우 (나머지 내용은 그대로 표시)
+// categories: 표시 순서대로 정렬된 카테고리 문서
+const renderIndexPage = ({ portfolios = [], categories = [], siteUrl, error = null }) => {
+  const url = `${siteUrl}/`;
+  const structuredData = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Organization',
+        '@id': `${url}#organization`,
+        name: SITE_NAME,
+        url,
+        logo: `${siteUrl}/logo.png`
+      },
+      {
+        '@type': 'ItemList',
+        name: '포트폴리오',
+        itemListElement: portfolios.map((portfolio, index) => ({
+          '@type': 'ListItem',
+          position: index + 1,
+          url: `${siteUrl}${portfolio.pageUrl}`,
+          name: portfolio.title
+        }))
+      }
+    ]
+  };
+
+  return renderTemplate('index', {
+    meta: [
+      renderMetaTags({ title: SITE_TITLE, description: SITE_DESCRIPTION, url, image: `${siteUrl}/logo.png` }),
+      renderFeedLinks(),
+      renderJsonLd(structuredData)
+    ].join('\n    '),
+    portfolioFilters: renderFilters(portfolios, categories),
+    portfolioGrid: renderGrid(portfolios, categories, error),
+    projectTypeOptions: renderProjectTypeOptions(categories)
+  });
+};
+
+// 갤러리 항목 - 이미지는 원본 크기 링크, 동영상과 YouTube는 바로 재생
+const renderMediaItem = (item, title) => {
+  let content;
+  if (item.type === 'youtube') {
+    content = `<div class="aspect-video"><iframe src="${escapeHtml(item.embedUrl)}" title="${escapeHtml(item.caption || `${title} 동영상`)}" class="w-full h-full rounded-lg" loading="lazy" allow="accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen" allowfullscreen></iframe></div>`;
+  } else if (item.type === 'video') {
+    content = `<video src="${escapeHtml(item.url)}" controls playsinline preload="metadata" class="w-full rounded-lg bg-black"></video>`;
+  } else {
+    content = `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener"><img src="${escapeHtml(`${item.url}?w=640`)}" alt="${escapeHtml(item.caption || title)}" class="w-full rounded-lg border border-gray-100" loading="lazy"></a>`;
+  }
+
+  return `<figure>
+                    ${content}
+                    ${item.caption ? `<figcaption class="text-sm text-gray-500 mt-2">${escapeHtml(item.caption)}</figcaption>` : ''}
+                </figure>`;
+};
+
+const renderRelated = (portfolios, categories) => {
+  if (portfolios.length === 0) return '';
+
+  const cards = portfolios.map(portfolio => {
+    const coverUrl = getCoverUrl(portfolio, 640);
+    return `<a href="${escapeHtml(portfolio.pageUrl)}" class="card p-0 overflow-hidden block">
+                    <div class="aspect-video bg-gradient-to-br ${getCategoryStyle(findCategory(categories, portfolio.category)).frame}">
+                        ${coverUrl ? `<img src="${escapeHtml(coverUrl)}" alt="" class="w-full h-full object-cover" loading="lazy">` : ''}
+                    </div>
+                    <div class="p-4">
+                        <h3 class="font-semibold text-secondary">${escapeHtml(portfolio.title)}</h3>
+                        <p class="text-gray-600 text-sm">${escapeHtml(summarize(portfolio.description, 60))}</p>
+                    </div>
+                </a>`;
+  }).join('\n                ');
+
+  return `<section class="mt-16">
+            <h2 class="text-2xl font-bold text-secondary mb-6">다른 프로젝트</h2>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+                ${cards}
+            </div>
+        </section>`;
+};
+
+// 프로젝트 페이지 - 제목, 메타 설명, Open Graph/Twitter 카드, JSON-LD(CreativeWork, BreadcrumbList)
+// related: 같은 카테고리의 다른 공개 포트폴리오, categories: 카테고리 문서 (색상, 아이콘)
+const renderProjectPage = ({ portfolio, related = [], categories = [], siteUrl }) => {
+  const url = `${siteUrl}${portfolio.pageUrl}`;
+  const title = `${portfolio.title} - ${SITE_NAME}`;
+  const description = summarize(portfolio.description);
+  const image = getShareImage(portfolio, siteUrl);
+  const coverUrl = getCoverUrl(portfolio, 1280);
+  // 대표 이미지와 같은 갤러리 이미지는 중복 표시하지 않음
+  const media = (portfolio.media || []).filter(item => !item.isCover);
+
+  const structuredData = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'CreativeWork',
+        '@id': `${url}#project`,
+        name: portfolio.title,
+        description: portfolio.description,
+        url,
+        image: image || undefined,
+        genre: portfolio.category,
+        keywords: portfolio.tags.join(', ') || undefined,
+        sameAs: safeUrl(portfolio.url) || undefined,
+        dateCreated: portfolio.createdAt,
+        dateModified: portfolio.updatedAt,
+        datePublished: portfolio.publishedAt || undefined,
+        creator: { '@type': 'Organization', name: SITE_NAME, url: `${siteUrl}/` }
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: '홈', item: `${siteUrl}/` },
+          { '@type': 'ListItem', position: 2, name: '포트폴리오', item: `${siteUrl}/#portfolio` },
+          { '@type': 'ListItem', position: 3, name: portfolio.title, item: url }
+        ]
+      }
+    ]
+  };
+
+  const category = findCategory(categories, portfolio.category);
+  const style = getCategoryStyle(category);
+
+  return renderTemplate('project', {
+    title: escapeHtml(title),
+    meta: [
+      renderMetaTags({ title, description, url, image, type: 'article' }),
+      renderJsonLd(structuredData)
+    ].join('\n    '),
+    projectTitle: escapeHtml(portfolio.title),
+    category: renderCategoryName(category, portfolio.category),
+    categoryStyle: style.badge,
+    frameStyle: style.frame,
+    tags: renderTags(portfolio.tags),
+    description: escapeHtml(portfolio.description),
+    cover: coverUrl
+      ? `<img src="${escapeHtml(coverUrl)}" alt="${escapeHtml(portfolio.title)}" class="w-full h-full object-cover">`
+      : '',
+    visit: safeUrl(portfolio.url)
+      ? `<a href="${escapeHtml(portfolio.url)}" target="_blank" rel="noopener" class="btn-primary inline-flex items-center gap-2">사이트 방문 <i class="ri-external-link-line"></i></a>`
+      : '',
+    gallery: media.length > 0
+      ? `<section class="mt-12">
+            <h2 class="text-2xl font-bold text-secondary mb-6">갤러리</h2>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                ${media.map(item => renderMediaItem(item, portfolio.title)).join('\n                ')}
+            </div>
+        </section>`
+      : '',
+    related: renderRelated(related, categories)
+  });
+};
+
+// 프로젝트를 찾을 수 없거나 불러오지 못한 경우의 안내 페이지 (검색 엔진 색인 제외)
+const renderErrorPage = ({ heading, message }) => {
+  return renderTemplate('error', {
+    meta: '<meta name="robots" content="noindex">',
+    heading: escapeHtml(heading),
+    message: escapeHtml(message)
+  });
+};
+
+module.exports = {
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  escapeHtml,
+  getSiteUrl,
+  safeUrl,
+  toAbsoluteUrl,
+  getCoverUrl,
+  getShareImage,
+  summarize,
+  renderIndexPage,
+  renderProjectPage,
+  renderErrorPage
+};
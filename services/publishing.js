@@ -0,0 +1,35 @@
+const { Portfolio } = require('../models/Portfolio');
+
+// 예약 게시/게시 종료 처리
+const processSchedule = async (now = new Date()) => {
+  const results = await Portfolio.applySchedule(now);
+  if (results.published > 0 || results.archived > 0) {
+    console.log(`포트폴리오 게시 상태 변경 - 게시: ${results.published}개, 보관: ${results.archived}개`);
+  }
+  return results;
+};
+
+// 로컬 서버용 주기 실행 (Vercel에서는 cron이 처리 엔드포인트 호출)
+const startPublishScheduler = (intervalMs = parseInt(process.env.PUBLISH_SCHEDULE_INTERVAL_MS) || 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processSchedule();
+    } catch (error) {
+      console.error('게시 예약 처리 오류:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processSchedule,
+  startPublishScheduler
+};
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { PortfolioRevision } = require('../models/PortfolioRevision');
+
+// 리비전에 기록하는 포트폴리오 필드
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'url',
+  'category',
+  'tags',
+  'translations',
+  'featured',
+  'status',
+  'publishAt',
+  'unpublishAt',
+  'image',
+  'imageId',
+  'imageBase64',
+  'media'
+];
+
+// 하위 문서(갤러리 미디어, 번역)는 가상 필드 없는 일반 객체로 저장
+const toPlain = (item) => {
+  return item && typeof item.toObject === 'function' ? item.toObject({ virtuals: false }) : item;
+};
+
+// 현재 값의 스냅샷
+const takeSnapshot = (portfolio) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    const value = portfolio.get(field);
+    snapshot[field] = Array.isArray(value) ? Array.from(value, toPlain) : (value === undefined ? null : toPlain(value));
+  });
+  return snapshot;
+};
+
+// 비교용 값 (날짜/ObjectId는 문자열, 빈 값은 null)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  // 하위 객체(번역 등)는 빈 값을 제외하고 비교 - 모두 비어 있으면 null
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .map(key => [key, normalizeValue(value[key])])
+      .filter(([, item]) => item !== null && !(Array.isArray(item) && item.length === 0));
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+  return value;
+};
+
+// 변경 내역에 표시할 값 - Base64 이미지는 크기만, 갤러리는 항목별 요약, 번역은 언어별 항목으로 기록
+const summarizeValue = (field, value) => {
+  const normalized = normalizeValue(value);
+  if (field === 'imageBase64' && normalized) {
+    return `Base64 이미지 (${Math.round(normalized.length * 3 / 4 / 1024)}KB)`;
+  }
+  if (field === 'translations' && normalized) {
+    return Object.keys(normalized).reduce((items, locale) => {
+      const content = normalized[locale] || {};
+      if (content.title) items.push(`${locale} 제목: ${content.title}`);
+      if (content.description) items.push(`${locale} 설명: ${content.description}`);
+      if (content.tags && content.tags.length > 0) items.push(`${locale} 태그: ${content.tags.join(', ')}`);
+      return items;
+    }, []);
+  }
+  if (field === 'media' && normalized) {
+    return normalized.map(item => {
+      const source = item.type === 'youtube' ? item.youtubeId : String(item.fileId);
+      return `${item.type}:${source}${item.caption ? ` (${item.caption})` : ''}`;
+    });
+  }
+  return normalized;
+};
+
+// 두 스냅샷의 필드별 차이 - [{ field, before, after }]
+const diffSnapshots = (before = {}, after = {}) => {
+  return REVISION_FIELDS.reduce((changes, field) => {
+    const from = normalizeValue(before[field]);
+    const to = normalizeValue(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({
+        field,
+        before: summarizeValue(field, before[field]),
+        after: summarizeValue(field, after[field])
+      });
+    }
+    return changes;
+  }, []);
+};
+
+const createRevision = async (portfolio, data) => {
+  // 동시에 저장되어 번호가 겹치면 한 번 더 시도
+  for (let attempt = 0; ; attempt++) {
+    const last = await PortfolioRevision.findOne({ portfolio: portfolio._id })
+      .sort({ number: -1 })
+      .select('number');
+    try {
+      return await PortfolioRevision.create(Object.assign({
+        portfolio: portfolio._id,
+        number: last ? last.number + 1 : 1
+      }, data));
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 1) throw error;
+    }
+  }
+};
+
+// 저장 후 리비전 기록 - before는 변경 전 스냅샷 (생성 시에는 없음)
+// 변경된 필드가 없으면 기록하지 않고 null 반환
+const recordRevision = async (portfolio, { action, author = null, before = null, restoredFrom = null }) => {
+  // 리비전 기록 도입 전 문서는 변경 전 상태를 기준 리비전으로 먼저 저장
+  if (before && !(await PortfolioRevision.exists({ portfolio: portfolio._id }))) {
+    await createRevision(portfolio, { action: 'import', snapshot: before, changes: [] });
+  }
+
+  const snapshot = takeSnapshot(portfolio);
+  const changes = diffSnapshots(before || {}, snapshot);
+  if (before && changes.length === 0) return null;
+
+  return createRevision(portfolio, {
+    action,
+    snapshot,
+    changes,
+    restoredFrom,
+    author: author ? author._id : null
+  });
+};
+
+// 리비전 스냅샷을 현재 값으로 적용 (저장은 호출한 쪽에서)
+const applySnapshot = (portfolio, snapshot) => {
+  REVISION_FIELDS.forEach(field => {
+    if (snapshot[field] !== undefined) {
+      portfolio.set(field, snapshot[field]);
+    }
+  });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  takeSnapshot,
+  diffSnapshots,
+  recordRevision,
+  applySnapshot
+};
@@ -0,0 +1,329 @@
+// 한국어 검색 - 음절 bigram과 자모 trigram 토큰으로 후보를 찾고 관련도 순으로 정렬
+// MongoDB $text 인덱스는 한국어 형태소를 나누지 못하므로 ("챗봇"으로 "AI 챗봇" 검색 불가) 토큰을 직접 저장
+
+// 인덱스 생성 방식이 바뀌면 올려서 기존 문서의 토큰을 다시 생성
+const SEARCH_INDEX_VERSION = 2;
+
+// 자모 trigram 일치 비율이 이 값 이상이면 오타가 있어도 일치로 판단
+const MATCH_THRESHOLD = 0.5;
+// 편집 거리로 허용하는 자모 오타 수 - 짧은 단어는 trigram 하나만 틀려도 비율이 크게 떨어지므로 편집 거리로 보완
+// 예: "챈봇"과 "챗봇"은 trigram 일치 비율 0.25지만 자모 하나 차이
+const typoLimit = (length) => (length < 4 ? 0 : length <= 9 ? 1 : 2);
+const SNIPPET_LENGTH = 120;
+
+// 필드별 가중치
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1
+};
+
+const HANGUL_BASE = 0xac00;
+const HANGUL_END = 0xd7a3;
+const CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+// 겹모음/겹받침은 구성 자모로 풀어 한 글자 오타의 영향을 줄임
+const JUNGSEONG = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅗㅏ', 'ㅗㅐ', 'ㅗㅣ', 'ㅛ', 'ㅜ', 'ㅜㅓ', 'ㅜㅔ', 'ㅜㅣ', 'ㅠ', 'ㅡ', 'ㅡㅣ', 'ㅣ'];
+const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄱㅅ', 'ㄴ', 'ㄴㅈ', 'ㄴㅎ', 'ㄷ', 'ㄹ', 'ㄹㄱ', 'ㄹㅁ', 'ㄹㅂ', 'ㄹㅅ', 'ㄹㅌ', 'ㄹㅍ', 'ㄹㅎ', 'ㅁ', 'ㅂ', 'ㅂㅅ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 한글 음절을 자모로 분해 (그 외 문자는 그대로)
+const decomposeHangul = (text) => {
+  let result = '';
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code >= HANGUL_BASE && code <= HANGUL_END) {
+      const offset = code - HANGUL_BASE;
+      result += CHOSEONG[Math.floor(offset / 588)] +
+        JUNGSEONG[Math.floor((offset % 588) / 28)] +
+        JONGSEONG[offset % 28];
+    } else {
+      result += char;
+    }
+  }
+  return result;
+};
+
+// 소문자화 후 문자/숫자 외에는 공백으로 치환
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+const splitWords = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// n-gram 목록 (길이가 n보다 짧으면 단어 자체)
+const ngrams = (word, n) => {
+  const chars = Array.from(word);
+  if (chars.length <= n) return [word];
+
+  const grams = [];
+  for (let i = 0; i <= chars.length - n; i++) {
+    grams.push(chars.slice(i, i + n).join(''));
+  }
+  return grams;
+};
+
+const jamoGrams = (word) => ngrams(decomposeHangul(word), 3);
+
+// 단어 안에서 검색어와 가장 가까운 구간까지의 편집 거리 (조사 등이 붙은 단어도 비교)
+const substringDistance = (pattern, text) => {
+  let previous = new Array(text.length + 1).fill(0);
+  for (let i = 1; i <= pattern.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return Math.min(...previous);
+};
+
+// 자모 편집 거리 기준 일치 비율 - 허용 오타 수를 넘으면 0
+const typoRatio = (queryWord, word) => {
+  const pattern = Array.from(decomposeHangul(queryWord));
+  const limit = typoLimit(pattern.length);
+  if (limit === 0) return 0;
+
+  const distance = substringDistance(pattern, Array.from(decomposeHangul(word)));
+  return distance <= limit ? 1 - distance / pattern.length : 0;
+};
+
+// 단어 목록의 검색 토큰 - 음절 bigram(s:)과 자모 trigram(j:)
+const tokensForWords = (words) => {
+  const tokens = new Set();
+  words.forEach(word => {
+    ngrams(word, 2).forEach(gram => tokens.add(`s:${gram}`));
+    jamoGrams(word).forEach(gram => tokens.add(`j:${gram}`));
+  });
+  return Array.from(tokens);
+};
+
+const fieldText = (value) => (Array.isArray(value) ? value.join(' ') : value || '');
+
+// 포트폴리오 저장 시 생성하는 검색 토큰
+// 번역(translations)도 포함하여 어느 언어로 검색해도 후보에 포함
+const buildSearchTokens = (doc) => {
+  const translations = doc.translations ? Object.values(doc.translations.toObject ? doc.translations.toObject() : doc.translations) : [];
+  const words = [doc].concat(translations.filter(Boolean)).reduce((all, content) => {
+    return Object.keys(FIELD_WEIGHTS).reduce((fieldWords, field) => {
+      return fieldWords.concat(splitWords(fieldText(content[field])));
+    }, all);
+  }, []);
+  return tokensForWords(words);
+};
+
+// 검색어로 후보 문서를 찾는 토큰
+const buildQueryTokens = (query) => tokensForWords(splitWords(query));
+
+// 검색어 단어가 필드 단어 집합과 얼마나 일치하는지 (0~1)
+const matchRatio = (queryWord, fieldWords, fieldGrams) => {
+  if (fieldWords.some(word => word.includes(queryWord))) return 1;
+
+  const grams = jamoGrams(queryWord);
+  const ratio = grams.filter(gram => fieldGrams.has(gram)).length / grams.length;
+  if (ratio >= MATCH_THRESHOLD) return ratio;
+
+  return fieldWords.reduce((best, word) => Math.max(best, typoRatio(queryWord, word)), ratio);
+};
+
+const prepareField = (value) => {
+  const words = splitWords(fieldText(value));
+  const grams = new Set();
+  words.forEach(word => jamoGrams(word).forEach(gram => grams.add(gram)));
+  return { words, grams };
+};
+
+// 관련도 점수 - 일치하지 않으면 0
+const scoreDocument = (doc, queryWords) => {
+  const fields = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    fields[field] = prepareField(doc[field]);
+  });
+
+  let total = 0;
+  let coverage = 0;
+  queryWords.forEach(queryWord => {
+    let best = 0;
+    let bestRatio = 0;
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      const ratio = matchRatio(queryWord, fields[field].words, fields[field].grams);
+      if (ratio < MATCH_THRESHOLD) return;
+
+      // 정확히 포함되면 가산점
+      const score = FIELD_WEIGHTS[field] * ratio * (ratio === 1 ? 1.5 : 1);
+      if (score > best) best = score;
+      if (ratio > bestRatio) bestRatio = ratio;
+    });
+    total += best;
+    coverage += bestRatio;
+  });
+
+  if (coverage / queryWords.length < MATCH_THRESHOLD) return 0;
+  return Math.round((total / queryWords.length) * 100) / 100;
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// 원문에서 검색어와 일치하는 구간 [start, end) 목록
+const findMatchRanges = (text, queryWords) => {
+  const ranges = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    const original = match[0];
+    const word = original.toLowerCase();
+    const start = match.index;
+
+    queryWords.forEach(queryWord => {
+      const index = word.indexOf(queryWord);
+      if (index !== -1) {
+        ranges.push([start + index, start + index + queryWord.length]);
+        return;
+      }
+
+      // 오타 허용 일치는 단어 전체를 강조
+      const grams = jamoGrams(queryWord);
+      const wordGrams = new Set(jamoGrams(word));
+      const matched = grams.filter(gram => wordGrams.has(gram)).length;
+      if (matched / grams.length >= MATCH_THRESHOLD || typoRatio(queryWord, word) >= MATCH_THRESHOLD) {
+        ranges.push([start, start + original.length]);
+      }
+    });
+  }
+
+  // 겹치는 구간 병합
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+    return merged;
+  }, []);
+};
+
+// 일치 구간을 <mark>로 감싼 HTML (나머지는 이스케이프)
+const markRanges = (text, ranges, from = 0, to = text.length) => {
+  let html = '';
+  let cursor = from;
+  ranges.forEach(([start, end]) => {
+    if (end <= from || start >= to) return;
+    const markStart = Math.max(start, from);
+    const markEnd = Math.min(end, to);
+    html += escapeHtml(text.slice(cursor, markStart));
+    html += `<mark>${escapeHtml(text.slice(markStart, markEnd))}</mark>`;
+    cursor = markEnd;
+  });
+  return html + escapeHtml(text.slice(cursor, to));
+};
+
+// 검색어 강조 - 긴 텍스트는 첫 일치 위치 주변만 잘라서 반환
+const highlight = (text, queryWords, maxLength = null) => {
+  const value = String(text || '');
+  const ranges = findMatchRanges(value, queryWords);
+
+  if (!maxLength || value.length <= maxLength) {
+    return markRanges(value, ranges);
+  }
+
+  const first = ranges.length > 0 ? ranges[0][0] : 0;
+  const from = Math.max(0, Math.min(first - Math.floor(maxLength / 3), value.length - maxLength));
+  const to = Math.min(value.length, from + maxLength);
+  return (from > 0 ? '…' : '') + markRanges(value, ranges, from, to) + (to < value.length ? '…' : '');
+};
+
+// 후보 문서를 관련도 순으로 정렬 - [{ doc, score, highlights }]
+// sortByScore가 false이면 입력 순서(요청한 정렬)를 유지
+const rankDocuments = (docs, query, { sortByScore = true } = {}) => {
+  const queryWords = splitWords(query);
+  if (queryWords.length === 0) return [];
+
+  const results = [];
+  docs.forEach((doc, index) => {
+    const score = scoreDocument(doc, queryWords);
+    if (score === 0) return;
+
+    results.push({
+      doc,
+      score,
+      index,
+      highlights: {
+        title: highlight(doc.title, queryWords),
+        description: highlight(doc.description, queryWords, SNIPPET_LENGTH),
+        tags: (doc.tags || []).map(tag => highlight(tag, queryWords))
+      }
+    });
+  });
+
+  if (sortByScore) {
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+  return results.map(({ doc, score, highlights }) => ({ doc, score, highlights }));
+};
+
+// 자동완성 - 입력 중인 자모까지 고려한 접두어 일치 우선
+const suggestionRank = (value, query) => {
+  const target = decomposeHangul(normalizeText(value));
+  const jamoQuery = decomposeHangul(query);
+
+  if (target.startsWith(jamoQuery)) return 3;
+  if (target.split(' ').some(word => word.startsWith(jamoQuery))) return 2;
+  if (target.includes(jamoQuery)) return 1;
+
+  const grams = ngrams(jamoQuery.replace(/ /g, ''), 3);
+  if (grams.length < 2) return 0;
+  const targetGrams = new Set(ngrams(target.replace(/ /g, ''), 3));
+  const matched = grams.filter(gram => targetGrams.has(gram)).length;
+  if (matched / grams.length >= MATCH_THRESHOLD) return 0.5;
+  return typoRatio(query, normalizeText(value)) >= MATCH_THRESHOLD ? 0.5 : 0;
+};
+
+// titles: [{ id, title }], tags: [{ tag, count }]
+const buildSuggestions = (query, titles, tags, limit = 8) => {
+  const normalized = normalizeText(query);
+  if (!normalized) return [];
+
+  const suggestions = [];
+  titles.forEach(({ id, title }, index) => {
+    const rank = suggestionRank(title, normalized);
+    if (rank > 0) suggestions.push({ type: 'title', value: title, id, rank, index });
+  });
+  tags.forEach(({ tag, count }, index) => {
+    const rank = suggestionRank(tag, normalized);
+    if (rank > 0) suggestions.push({ type: 'tag', value: tag, count, rank, index: titles.length + index });
+  });
+
+  return suggestions
+    .sort((a, b) => b.rank - a.rank || a.index - b.index)
+    .slice(0, limit)
+    .map(({ rank, index, ...suggestion }) => suggestion);
+};
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  buildSearchTokens,
+  buildQueryTokens,
+  rankDocuments,
+  buildSuggestions,
+  decomposeHangul,
+  normalizeText
+};
@@ -0,0 +1,71 @@
+// 슬러그 최대 길이
+const MAX_SLUG_LENGTH = 80;
+
+// 포트폴리오 API의 고정 경로 (/api/portfolio/trash 등) - 슬러그로 쓰면 :id 자리와 겹침
+const RESERVED_SLUGS = ['trash', 'search', 'schedule', 'files', 'image', 'stats'];
+
+// 한글 음절 구성 (유니코드 음절 = 0xAC00 + (초성 * 21 + 중성) * 28 + 종성)
+const HANGUL_START = 0xac00;
+const HANGUL_END = 0xd7a3;
+
+// 국어의 로마자 표기법 - 초성, 중성, 종성
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+// 다음 음절이 모음(ㅇ)으로 시작할 때 받침을 이어서 읽는 소리 (예: 한국어 → hangugeo)
+const LINKED_FINALS = ['', 'g', 'kk', 'ks', 'n', 'nj', 'n', 'd', 'r', 'lg', 'lm', 'lb', 'ls', 'lt', 'lp', 'r', 'm', 'b', 'ps', 's', 'ss', 'ng', 'j', 'ch', 'k', 't', 'p', ''];
+const SILENT_INITIAL = 11;
+
+const decomposeHangul = (char) => {
+  const code = char.charCodeAt(0) - HANGUL_START;
+  return {
+    initial: Math.floor(code / 588),
+    medial: Math.floor((code % 588) / 28),
+    final: code % 28
+  };
+};
+
+const isHangulSyllable = (char) => {
+  const code = char ? char.charCodeAt(0) : 0;
+  return code >= HANGUL_START && code <= HANGUL_END;
+};
+
+// 한글 음절을 로마자로 변환 (다른 문자는 그대로)
+// 예: 'HR 지원센터' → 'HR jiwonsenteo'
+const romanizeHangul = (value) => {
+  const chars = Array.from(String(value || ''));
+
+  return chars.map((char, index) => {
+    if (!isHangulSyllable(char)) return char;
+
+    const { initial, medial, final } = decomposeHangul(char);
+    const next = chars[index + 1];
+    const linked = isHangulSyllable(next) && decomposeHangul(next).initial === SILENT_INITIAL;
+    return INITIALS[initial] + MEDIALS[medial] + (linked ? LINKED_FINALS[final] : FINALS[final]);
+  }).join('');
+};
+
+// 제목으로 URL 슬러그 생성 - 한글은 로마자로, 악센트는 제거하고 문자와 숫자 외에는 하이픈으로 변경
+// 예: 'LLM Bench' → 'llm-bench', 'HR 지원센터' → 'hr-jiwonsenteo'
+const slugify = (value) => {
+  return romanizeHangul(String(value || '').normalize('NFC'))
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+};
+
+// 슬러그로 쓸 수 없는 값 - API 고정 경로, ObjectId와 같은 형태
+const isReservedSlug = (slug) => {
+  return RESERVED_SLUGS.includes(slug) || /^[0-9a-f]{24}$/.test(slug);
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  RESERVED_SLUGS,
+  romanizeHangul,
+  slugify,
+  isReservedSlug
+};
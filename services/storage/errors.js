@@ -0,0 +1,23 @@
+// 저장소마다 다른 "파일 없음" 오류를 같은 형태로 처리
+const FILE_NOT_FOUND = 'FILE_NOT_FOUND';
+
+const notFoundError = (id) => {
+  const error = new Error(`File not found: ${id}`);
+  error.code = FILE_NOT_FOUND;
+  return error;
+};
+
+// GridFS(FileNotFound), 파일 시스템(ENOENT), S3(NoSuchKey) 오류 포함
+const isNotFoundError = (error) => {
+  return Boolean(error) && (
+    error.code === FILE_NOT_FOUND ||
+    error.code === 'ENOENT' ||
+    error.name === 'NoSuchKey' ||
+    /FileNotFound|File not found/i.test(error.message)
+  );
+};
+
+module.exports = {
+  notFoundError,
+  isNotFoundError
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { notFoundError } = require('./errors');
+
+// 기본 저장 경로 - 서버리스 환경에서는 /tmp만 쓰기 가능
+const DEFAULT_UPLOAD_DIR = process.env.VERCEL ?
+  '/tmp/uploads' :
+  path.join(__dirname, '..', '..', 'uploads');
+
+// 파일 ID는 ObjectId 형식만 허용 (경로 조작 방지)
+const FILE_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+// 로컬 파일 시스템 저장소 - <id>에 파일, <id>.json에 파일 정보 저장
+const createFileSystemStorage = ({ directory = process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR } = {}) => {
+  const getPaths = (id) => {
+    const key = String(id);
+    if (!FILE_ID_PATTERN.test(key)) {
+      throw new Error(`잘못된 파일 ID입니다: ${key}`);
+    }
+    const dataPath = path.join(directory, key);
+    return { dataPath, infoPath: `${dataPath}.json` };
+  };
+
+  const readInfo = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(getPaths(id).infoPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'fs',
+
+    save: async (id, buffer, { filename, contentType, metadata = {} }) => {
+      const { dataPath, infoPath } = getPaths(id);
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      // 쓰는 도중의 파일이 조회되지 않도록 임시 파일에 쓴 뒤 이름 변경
+      const tempPath = `${dataPath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, dataPath);
+      await fs.promises.writeFile(infoPath, JSON.stringify({
+        filename,
+        contentType,
+        length: buffer.length,
+        uploadDate: new Date().toISOString(),
+        metadata
+      }));
+
+      return String(id);
+    },
+
+    stat: async (id) => {
+      const info = await readInfo(id);
+      if (!info) return null;
+
+      return {
+        id: String(id),
+        filename: info.filename,
+        length: info.length,
+        contentType: info.contentType || 'application/octet-stream',
+        uploadDate: new Date(info.uploadDate),
+        metadata: info.metadata || {}
+      };
+    },
+
+    openReadStream: async (id, range = null) => {
+      const { dataPath } = getPaths(id);
+      try {
+        await fs.promises.access(dataPath);
+      } catch (error) {
+        throw notFoundError(id);
+      }
+      return fs.createReadStream(dataPath, range ? { start: range.start, end: range.end } : {});
+    },
+
+    delete: async (id) => {
+      const { dataPath, infoPath } = getPaths(id);
+      const results = await Promise.all([dataPath, infoPath].map(async (filePath) => {
+        try {
+          await fs.promises.unlink(filePath);
+          return true;
+        } catch (error) {
+          if (error.code === 'ENOENT') return false;
+          throw error;
+        }
+      }));
+      return results.some(Boolean);
+    },
+
+    list: async function* () {
+      let names;
+      try {
+        names = await fs.promises.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const name of names) {
+        if (FILE_ID_PATTERN.test(name)) yield name;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createFileSystemStorage
+};
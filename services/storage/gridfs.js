@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// mongoose에 포함된 드라이버 사용 (mongodb 패키지를 따로 설치하지 않음)
+const { GridFSBucket } = mongoose.mongo;
+
+// MongoDB GridFS 저장소 - 파일 정보는 files 컬렉션의 metadata에 저장
+const createGridFSStorage = ({ bucketName = process.env.GRIDFS_BUCKET || 'portfolio_images' } = {}) => {
+  const getBucket = () => {
+    if (!mongoose.connection.db) {
+      throw new Error('MongoDB 연결이 필요합니다.');
+    }
+    return new GridFSBucket(mongoose.connection.db, { bucketName });
+  };
+
+  const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+  return {
+    name: 'gridfs',
+
+    save: (id, buffer, { filename, contentType, metadata = {} }) => {
+      return new Promise((resolve, reject) => {
+        const uploadStream = getBucket().openUploadStreamWithId(toObjectId(id), filename, {
+          metadata: Object.assign({}, metadata, { contentType })
+        });
+
+        uploadStream.on('error', reject);
+        uploadStream.on('finish', () => resolve(String(id)));
+
+        uploadStream.end(buffer);
+      });
+    },
+
+    stat: async (id) => {
+      const files = await getBucket().find({ _id: toObjectId(id) }).limit(1).toArray();
+      const file = files[0];
+      if (!file) return null;
+
+      const metadata = file.metadata || {};
+      return {
+        id: String(file._id),
+        filename: file.filename,
+        length: file.length,
+        contentType: metadata.contentType || 'application/octet-stream',
+        uploadDate: file.uploadDate,
+        metadata
+      };
+    },
+
+    // GridFS의 end는 해당 위치를 포함하지 않음
+    openReadStream: async (id, range = null) => {
+      const options = range ? { start: range.start, end: range.end + 1 } : {};
+      return getBucket().openDownloadStream(toObjectId(id), options);
+    },
+
+    delete: async (id) => {
+      try {
+        await getBucket().delete(toObjectId(id));
+        return true;
+      } catch (error) {
+        if (/File not found/i.test(error.message)) return false;
+        throw error;
+      }
+    },
+
+    list: async function* () {
+      const cursor = getBucket().find({}, { projection: { _id: 1 } });
+      for await (const file of cursor) {
+        yield String(file._id);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createGridFSStorage
+};
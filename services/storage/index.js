@@ -0,0 +1,43 @@
+const { createGridFSStorage } = require('./gridfs');
+const { createFileSystemStorage } = require('./filesystem');
+const { createS3Storage } = require('./s3');
+const { notFoundError, isNotFoundError } = require('./errors');
+
+// 업로드 파일 저장소 - STORAGE_DRIVER로 선택 (gridfs, fs, s3)
+// 모든 저장소는 같은 인터페이스를 제공하며 파일 ID는 ObjectId 문자열
+//   save(id, buffer, { filename, contentType, metadata }) - 지정한 ID로 저장
+//   stat(id) - { id, filename, length, contentType, uploadDate, metadata }, 없으면 null
+//   openReadStream(id, range) - 읽기 스트림 (range: { start, end }, end 포함), 없으면 FILE_NOT_FOUND 오류
+//   delete(id) - 삭제, 없는 파일이면 false
+//   list() - 저장된 모든 파일 ID (async iterator)
+const STORAGE_FACTORIES = {
+  gridfs: createGridFSStorage,
+  fs: createFileSystemStorage,
+  s3: createS3Storage
+};
+
+const instances = {};
+
+const createStorage = (name, options) => {
+  const factory = STORAGE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`지원하지 않는 저장소입니다: ${name}`);
+  }
+  return factory(options);
+};
+
+// 설정된 저장소 (드라이버별로 한 번만 생성)
+const getStorage = (name = process.env.STORAGE_DRIVER || 'gridfs') => {
+  if (!instances[name]) {
+    instances[name] = createStorage(name);
+  }
+  return instances[name];
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+  notFoundError,
+  isNotFoundError,
+  STORAGE_DRIVERS: Object.keys(STORAGE_FACTORIES)
+};
@@ -0,0 +1,143 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { notFoundError } = require('./errors');
+
+const FILE_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+const isMissing = (error) => {
+  return error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404);
+};
+
+// S3 호환 저장소 (AWS S3, MinIO, Cloudflare R2 등) - <prefix><id>에 파일, <prefix><id>.json에 파일 정보 저장
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  prefix = process.env.S3_PREFIX !== undefined ? process.env.S3_PREFIX : 'portfolio_images/',
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  // MinIO 등은 버킷 이름을 경로에 포함하는 방식 사용
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET 환경변수가 설정되지 않았습니다.');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // 지정하지 않으면 AWS 기본 인증 정보(AWS_ACCESS_KEY_ID 등) 사용
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const getKey = (id) => {
+    const key = String(id);
+    if (!FILE_ID_PATTERN.test(key)) {
+      throw new Error(`잘못된 파일 ID입니다: ${key}`);
+    }
+    return `${prefix}${key}`;
+  };
+
+  const readInfo = async (id) => {
+    try {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: `${getKey(id)}.json` }));
+      return JSON.parse(await result.Body.transformToString());
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    save: async (id, buffer, { filename, contentType, metadata = {} }) => {
+      const key = getKey(id);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: `${key}.json`,
+        Body: JSON.stringify({
+          filename,
+          contentType,
+          length: buffer.length,
+          uploadDate: new Date().toISOString(),
+          metadata
+        }),
+        ContentType: 'application/json'
+      }));
+
+      return String(id);
+    },
+
+    stat: async (id) => {
+      const info = await readInfo(id);
+      if (!info) return null;
+
+      return {
+        id: String(id),
+        filename: info.filename,
+        length: info.length,
+        contentType: info.contentType || 'application/octet-stream',
+        uploadDate: new Date(info.uploadDate),
+        metadata: info.metadata || {}
+      };
+    },
+
+    openReadStream: async (id, range = null) => {
+      try {
+        const result = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: getKey(id),
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined
+        }));
+        return result.Body;
+      } catch (error) {
+        if (isMissing(error)) throw notFoundError(id);
+        throw error;
+      }
+    },
+
+    delete: async (id) => {
+      const key = getKey(id);
+      // S3 삭제는 없는 키도 성공으로 처리하므로 먼저 확인
+      const exists = Boolean(await readInfo(id));
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: [{ Key: key }, { Key: `${key}.json` }], Quiet: true }
+      }));
+      return exists;
+    },
+
+    list: async function* () {
+      let token;
+      do {
+        const result = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: token
+        }));
+        for (const object of result.Contents || []) {
+          const name = object.Key.slice(prefix.length);
+          if (FILE_ID_PATTERN.test(name)) yield name;
+        }
+        token = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (token);
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
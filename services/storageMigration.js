@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Portfolio } = require('../models/Portfolio');
+const { PortfolioRevision } = require('../models/PortfolioRevision');
+const { UploadedFile } = require('../models/UploadedFile');
+const { readFile } = require('../middleware/upload');
+const { getReferencedFileIds } = require('./orphanFiles');
+
+// ID 충돌 시 사용할 대체 ID - 다시 실행해도 같은 ID가 나오도록 원래 ID에서 계산
+const getAlternateId = (id) => {
+  return crypto.createHash('sha1').update(`migrated:${id}`).digest('hex').slice(0, 24);
+};
+
+// 대상 저장소에서 사용할 파일 ID 결정
+// 같은 ID의 같은 크기 파일이 이미 있으면 복사 생략, 다른 파일이 있으면 대체 ID 사용
+const resolveTargetId = async (target, info) => {
+  for (const id of [info.id, getAlternateId(info.id)]) {
+    const existing = await target.stat(id);
+    if (!existing) return { id, exists: false };
+    if (existing.length === info.length) return { id, exists: true };
+  }
+  throw new Error('대상 저장소에 같은 ID의 다른 파일이 있습니다.');
+};
+
+const copyFile = async (source, target, info, targetId, metadata) => {
+  const buffer = await readFile(info.id, source);
+  await target.save(targetId, buffer, {
+    filename: info.filename,
+    contentType: info.contentType,
+    metadata
+  });
+};
+
+// 원본 파일과 변환본을 함께 복사 - ID가 바뀐 파일은 idMap에 기록
+const copyImage = async (source, target, info, idMap, dryRun) => {
+  const original = await resolveTargetId(target, info);
+  const variants = (info.metadata.variants || []).filter(variant => !variant.original);
+  let copied = 0;
+
+  const variantList = [];
+  for (const variant of variants) {
+    const variantInfo = await source.stat(String(variant.fileId));
+    // 원본 정보에만 남아 있는 변환본은 목록에서 제외
+    if (!variantInfo) continue;
+
+    const resolved = await resolveTargetId(target, variantInfo);
+    if (!resolved.exists) {
+      if (!dryRun) {
+        await copyFile(source, target, variantInfo, resolved.id, Object.assign({}, variantInfo.metadata, {
+          variantOf: original.id
+        }));
+      }
+      copied += 1;
+    }
+    if (resolved.id !== variantInfo.id) idMap.set(variantInfo.id, resolved.id);
+    variantList.push(Object.assign({}, variant, { fileId: resolved.id }));
+  }
+
+  // 변환본을 먼저 저장해야 원본 조회 시 목록의 파일이 모두 존재함
+  if (!original.exists) {
+    if (!dryRun) {
+      const metadata = Object.assign({}, info.metadata);
+      if (info.metadata.variants) {
+        metadata.variants = variantList.concat(info.metadata.variants
+          .filter(variant => variant.original)
+          .map(variant => Object.assign({}, variant, { fileId: original.id })));
+      }
+      await copyFile(source, target, info, original.id, metadata);
+    }
+    copied += 1;
+  }
+  if (original.id !== info.id) idMap.set(info.id, original.id);
+
+  return copied;
+};
+
+// 바뀐 파일 ID를 포트폴리오, 리비전 스냅샷, 업로드 해시 기록에 반영 (수정 일시는 유지)
+const rewriteReferences = async (idMap) => {
+  let portfolios = 0;
+  let revisions = 0;
+
+  for (const [from, to] of idMap) {
+    const fromId = new mongoose.Types.ObjectId(from);
+    const toId = new mongoose.Types.ObjectId(to);
+    const portfolioResult = await Portfolio.updateMany(
+      { imageId: fromId },
+      { $set: { imageId: toId } },
+      { timestamps: false }
+    );
+    const revisionResult = await PortfolioRevision.updateMany(
+      { 'snapshot.imageId': fromId },
+      { $set: { 'snapshot.imageId': toId } }
+    );
+    // 갤러리 미디어
+    const mediaResult = await Portfolio.updateMany(
+      { 'media.fileId': fromId },
+      { $set: { 'media.$[item].fileId': toId } },
+      { arrayFilters: [{ 'item.fileId': fromId }], timestamps: false }
+    );
+    const revisionMediaResult = await PortfolioRevision.updateMany(
+      { 'snapshot.media.fileId': fromId },
+      { $set: { 'snapshot.media.$[item].fileId': toId } },
+      { arrayFilters: [{ 'item.fileId': fromId }] }
+    );
+    await UploadedFile.updateOne({ fileId: fromId }, { $set: { fileId: toId } });
+    portfolios += portfolioResult.modifiedCount + mediaResult.modifiedCount;
+    revisions += revisionResult.modifiedCount + revisionMediaResult.modifiedCount;
+  }
+
+  return { portfolios, revisions };
+};
+
+// 포트폴리오(휴지통 포함)와 리비전이 참조하는 파일(대표 이미지, 갤러리) 중 저장소에 없는 파일
+const findMissingReferences = async (storage) => {
+  const missing = [];
+  for (const id of await getReferencedFileIds()) {
+    if (!(await storage.stat(id))) missing.push(id);
+  }
+  return missing;
+};
+
+// 저장소 간 파일 이전 - 파일 ID를 유지하여 기존 참조가 그대로 동작하도록 복사
+// 대상에 같은 ID의 다른 파일이 있을 때만 대체 ID로 복사하고 참조 변경
+// 이미 복사된 파일은 건너뛰므로 중단된 이전을 다시 실행할 수 있음
+const migrateStorage = async (source, target, { dryRun = false } = {}) => {
+  const results = { total: 0, copied: 0, skipped: 0, failed: 0, errors: [], rewritten: null, missing: [] };
+  const idMap = new Map();
+
+  for await (const id of source.list()) {
+    let info;
+    try {
+      info = await source.stat(id);
+      // 변환본은 원본과 함께 복사
+      if (!info || info.metadata.variantOf) continue;
+
+      results.total += 1;
+      const copied = await copyImage(source, target, info, idMap, dryRun);
+      if (copied > 0) {
+        results.copied += 1;
+      } else {
+        results.skipped += 1;
+      }
+    } catch (error) {
+      results.failed += 1;
+      results.errors.push({ id, filename: info ? info.filename : '', error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    results.rewritten = await rewriteReferences(idMap);
+  }
+  // 확인만 실행하면 대상에 복사되지 않았으므로 원본 저장소 기준으로 확인
+  results.missing = await findMissingReferences(dryRun ? source : target);
+
+  return results;
+};
+
+module.exports = {
+  migrateStorage,
+  findMissingReferences
+};
@@ -0,0 +1,103 @@
+const { Portfolio } = require('../models/Portfolio');
+const { PortfolioRevision } = require('../models/PortfolioRevision');
+const { deleteFile } = require('../middleware/upload');
+
+// 휴지통 보존 기간 - 지나면 영구 삭제
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// 영구 삭제 예정 일시
+const getPurgeAt = (deletedAt) => {
+  return deletedAt ? new Date(deletedAt.getTime() + RETENTION_MS) : null;
+};
+
+// 다른 포트폴리오(또는 그 리비전)가 대표 이미지나 갤러리로 사용 중인 파일인지 확인
+const isImageShared = async (portfolioId, imageId) => {
+  const [current, revision] = await Promise.all([
+    Portfolio.exists({ _id: { $ne: portfolioId }, $or: [{ imageId }, { 'media.fileId': imageId }] }),
+    PortfolioRevision.exists({
+      portfolio: { $ne: portfolioId },
+      $or: [{ 'snapshot.imageId': imageId }, { 'snapshot.media.fileId': imageId }]
+    })
+  ]);
+  return Boolean(current || revision);
+};
+
+// 포트폴리오, 리비전과 이미지/갤러리 파일 영구 삭제
+// 같은 파일을 다른 포트폴리오가 사용 중이면 파일은 남김
+const purgePortfolio = async (portfolio) => {
+  const [revisionImageIds, revisionMediaIds] = await Promise.all([
+    PortfolioRevision.distinct('snapshot.imageId', {
+      portfolio: portfolio._id,
+      'snapshot.imageId': { $ne: null }
+    }),
+    PortfolioRevision.distinct('snapshot.media.fileId', { portfolio: portfolio._id })
+  ]);
+  const mediaIds = portfolio.media.map(item => item.fileId);
+  const imageIds = new Map();
+  [portfolio.imageId].concat(mediaIds, revisionImageIds, revisionMediaIds).forEach(imageId => {
+    if (imageId) imageIds.set(imageId.toString(), imageId);
+  });
+
+  for (const imageId of imageIds.values()) {
+    if (await isImageShared(portfolio._id, imageId)) continue;
+    // 이미 없는 파일이면 문서만 삭제
+    if (!(await deleteFile(imageId))) {
+      console.warn('이미지 파일이 이미 삭제되었습니다:', imageId.toString());
+    }
+  }
+
+  await PortfolioRevision.deleteMany({ portfolio: portfolio._id });
+  await Portfolio.deleteOne({ _id: portfolio._id });
+};
+
+// 보존 기간이 지난 휴지통 항목 영구 삭제
+const purgeExpired = async (now = new Date()) => {
+  const expired = await Portfolio.find({
+    deletedAt: { $ne: null, $lte: new Date(now.getTime() - RETENTION_MS) }
+  });
+
+  const results = { purged: 0, failed: 0 };
+  for (const portfolio of expired) {
+    try {
+      await purgePortfolio(portfolio);
+      results.purged += 1;
+    } catch (error) {
+      console.error(`휴지통 영구 삭제 실패 (${portfolio._id}):`, error.message);
+      results.failed += 1;
+    }
+  }
+
+  if (results.purged > 0 || results.failed > 0) {
+    console.log(`휴지통 정리 - 삭제: ${results.purged}개, 실패: ${results.failed}개`);
+  }
+  return results;
+};
+
+// 로컬 서버용 주기 실행 (Vercel에서는 cron이 처리 엔드포인트 호출)
+const startTrashPurger = (intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpired();
+    } catch (error) {
+      console.error('휴지통 정리 오류:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeAt,
+  purgePortfolio,
+  purgeExpired,
+  startTrashPurger
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { IMAGE_MAX_PIXELS } = require('./images');
+
+// 가로/세로 최대 크기 (px)
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || 10000;
+
+// ISO BMFF(ftyp) 브랜드 - AVIF/HEIF 이미지와 MP4 동영상 구분
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'];
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'mmp4', 'M4V ', 'MSNV'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const EBML_SIGNATURE = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+// SVG에서 허용하지 않는 내용 - 스크립트 실행, HTML 삽입, 외부 엔티티(XXE, 엔티티 확장 폭탄)
+const SVG_FORBIDDEN = [
+  /<script[\s>/]/i,
+  /<[^>]*[\s"'/]on[a-z]+\s*=/i,
+  /(?:javascript|vbscript)\s*:/i,
+  /data\s*:\s*text\/html/i,
+  /<foreignObject[\s>/]/i,
+  /<!ENTITY/i,
+  /<!DOCTYPE[^>]*\[/i
+];
+
+// 업로드 파일 검사 실패 - 라우트에서 400으로 응답
+const INVALID_UPLOAD = 'INVALID_UPLOAD';
+
+const invalidUploadError = (message) => {
+  const error = new Error(message);
+  error.code = INVALID_UPLOAD;
+  return error;
+};
+
+const isInvalidUploadError = (error) => Boolean(error) && error.code === INVALID_UPLOAD;
+
+// ftyp 박스의 주 브랜드와 호환 브랜드 목록
+const readFtypBrands = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') return null;
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+};
+
+// 주석, XML 선언, DOCTYPE 뒤에 <svg 태그로 시작하는 텍스트
+const isSvg = (buffer) => {
+  const text = buffer.toString('utf8', 0, 4096)
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>/gi, '')
+    .trimStart();
+  return /^<svg[\s>]/i.test(text);
+};
+
+// 파일 내용(매직 바이트)으로 형식 판별 - 클라이언트가 보낸 mimetype은 사용하지 않음
+// 반환: { mimetype, kind: 'image' | 'video' }, 지원하지 않는 형식이면 null
+const detectFileType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  const image = (mimetype) => ({ mimetype, kind: 'image' });
+  const head = buffer.toString('latin1', 0, 12);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return image('image/jpeg');
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return image('image/png');
+  if (/^GIF8[79]a/.test(head)) return image('image/gif');
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return image('image/webp');
+  if (head.startsWith('II*\0') || head.startsWith('MM\0*')) return image('image/tiff');
+
+  const brands = readFtypBrands(buffer);
+  if (brands) {
+    if (brands.some(brand => AVIF_BRANDS.includes(brand))) return image('image/avif');
+    if (brands.some(brand => HEIF_BRANDS.includes(brand))) return image('image/heic');
+    if (brands.some(brand => MP4_BRANDS.includes(brand))) return { mimetype: 'video/mp4', kind: 'video' };
+    return null;
+  }
+
+  // Matroska 중 DocType이 webm인 파일만 허용
+  if (buffer.subarray(0, 4).equals(EBML_SIGNATURE)) {
+    return buffer.subarray(0, 64).includes('webm') ? { mimetype: 'video/webm', kind: 'video' } : null;
+  }
+
+  return isSvg(buffer) ? image('image/svg+xml') : null;
+};
+
+// SVG 확인 - 스크립트 등 허용하지 않는 내용이 있으면 오류
+// 숫자 문자 참조(&#106; 등)로 감춘 내용도 확인
+const checkSvg = (buffer) => {
+  const text = buffer.toString('utf8').replace(/&#(x[0-9a-f]+|\d+);?/gi, (match, code) => {
+    const value = code[0].toLowerCase() === 'x' ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+    return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : '';
+  });
+
+  if (SVG_FORBIDDEN.some(pattern => pattern.test(text))) {
+    throw invalidUploadError('스크립트나 외부 내용을 포함한 SVG는 업로드할 수 없습니다.');
+  }
+};
+
+// 업로드 파일 검사 - 내용으로 형식을 판별하고 이미지 크기 확인
+// 픽셀 수는 헤더만 읽어 확인하므로 압축 폭탄(작은 파일, 거대한 해상도)도 디코딩 전에 거부
+// allowVideo: 동영상(MP4, WebM) 허용 여부
+// 반환: { mimetype, kind, width, height } (SVG, 동영상은 width/height 없음)
+const inspectUpload = async (buffer, { allowVideo = false } = {}) => {
+  const detected = detectFileType(buffer);
+  if (!detected || (detected.kind === 'video' && !allowVideo)) {
+    throw invalidUploadError(allowVideo
+      ? '이미지 또는 동영상(MP4, WebM) 파일만 업로드 가능합니다.'
+      : '이미지 파일만 업로드 가능합니다.');
+  }
+
+  if (detected.kind === 'video') return detected;
+  if (detected.mimetype === 'image/svg+xml') {
+    checkSvg(buffer);
+    return detected;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidUploadError('손상되었거나 지원하지 않는 이미지입니다.');
+  }
+
+  const { width, height } = metadata;
+  if (!width || !height) {
+    throw invalidUploadError('손상되었거나 지원하지 않는 이미지입니다.');
+  }
+  if (width > IMAGE_MAX_DIMENSION || height > IMAGE_MAX_DIMENSION) {
+    throw invalidUploadError(`이미지 가로/세로 크기는 ${IMAGE_MAX_DIMENSION}px 이하여야 합니다.`);
+  }
+  // 애니메이션은 모든 프레임의 픽셀 수 합산
+  if (width * height * (metadata.pages || 1) > IMAGE_MAX_PIXELS) {
+    throw invalidUploadError('이미지 해상도가 너무 큽니다.');
+  }
+
+  return Object.assign(detected, { width, height });
+};
+
+// 지각 해시(dHash, 256비트) - 다시 저장하거나 포맷을 바꾼 같은 이미지는 같은 값
+// 17x16 흑백으로 줄인 뒤 가로로 이웃한 픽셀 밝기 비교
+const computePerceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS })
+    .rotate()
+    .grayscale()
+    .resize(17, 16, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 16; row += 1) {
+    for (let col = 0; col < 16; col += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit += 1) {
+        const index = row * 17 + col + bit;
+        nibble = (nibble << 1) | (pixels[index] < pixels[index + 1] ? 1 : 0);
+      }
+      hash += nibble.toString(16);
+    }
+  }
+  return hash;
+};
+
+// 내용 해시(SHA-256)와 지각 해시 - 지각 해시는 래스터 이미지만 (나머지는 null)
+const computeHashes = async (buffer, inspected) => {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const phash = inspected.kind === 'image' && inspected.width ? await computePerceptualHash(buffer) : null;
+  return { sha256, phash };
+};
+
+// 두 지각 해시의 다른 비트 수
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    let diff = parseInt(a[index], 16) ^ parseInt(b[index], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+module.exports = {
+  IMAGE_MAX_DIMENSION,
+  detectFileType,
+  inspectUpload,
+  computeHashes,
+  hammingDistance,
+  invalidUploadError,
+  isInvalidUploadError
+};
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { Category } = require('../models/Category');
+const { Portfolio } = require('../models/Portfolio');
+const { PortfolioRevision } = require('../models/PortfolioRevision');
+const { saveCategory, mergeCategories } = require('../services/categories');
+
+// DB 대신 메모리의 포트폴리오 기록 사용 - failOn번째 변경 요청은 한 번 실패
+let records = [];
+let failOn = null;
+let updateCount = 0;
+Portfolio.find = async (filter) => records
+  .filter(record => record.category === filter.category)
+  .map(record => new Portfolio(record));
+Portfolio.updateOne = async (filter, update) => {
+  updateCount += 1;
+  if (updateCount === failOn) throw new Error('connection reset');
+
+  const record = records.find(item => item._id.equals(filter._id) && item.category === filter.category);
+  if (!record) return { modifiedCount: 0 };
+  Object.assign(record, update.$set);
+  record.version += update.$inc.version;
+  return { modifiedCount: 1 };
+};
+
+let revisions = [];
+PortfolioRevision.exists = async () => true;
+PortfolioRevision.findOne = () => ({ sort: () => ({ select: async () => null }) });
+PortfolioRevision.create = async (data) => { revisions.push(data); return data; };
+
+let takenNames = [];
+let categoryUpdates = [];
+Category.exists = async (filter) => takenNames.includes(filter.name);
+Category.updateOne = async (filter, update) => { categoryUpdates.push(update); };
+Category.updateMany = async (filter, update) => { categoryUpdates.push(update); };
+
+const addPortfolios = (category, count) => {
+  for (let index = 0; index < count; index++) {
+    records.push({ _id: new mongoose.Types.ObjectId(), title: `${category} ${index}`, category, version: 1 });
+  }
+};
+
+// DB에서 불러온 카테고리 - 저장/삭제 횟수 기록
+const loadCategory = (name) => {
+  const category = new Category({ name });
+  category.isNew = false;
+  category.$locals.savedName = name;
+  category.saved = [];
+  category.deleted = 0;
+  category.save = async () => { category.saved.push(category.name); };
+  category.deleteOne = async () => { category.deleted += 1; };
+  return category;
+};
+
+const categoryNames = () => records.map(record => record.category);
+
+test.beforeEach(() => {
+  records = [];
+  revisions = [];
+  takenNames = [];
+  categoryUpdates = [];
+  failOn = null;
+  updateCount = 0;
+});
+
+test('이름을 바꾸면 포트폴리오를 모두 옮긴 뒤 카테고리 저장', async () => {
+  addPortfolios('플랫폼', 2);
+  const category = loadCategory('플랫폼');
+  category.name = '웹 플랫폼';
+
+  const changes = await saveCategory(category);
+
+  assert.strictEqual(changes.length, 2);
+  assert.deepStrictEqual(categoryNames(), ['웹 플랫폼', '웹 플랫폼']);
+  assert.deepStrictEqual(records.map(record => record.version), [2, 2]);
+  assert.deepStrictEqual(revisions.map(revision => revision.action), ['category', 'category']);
+  assert.deepStrictEqual(category.saved, ['웹 플랫폼']);
+  assert.deepStrictEqual(Array.from(category.previousNames), ['플랫폼']);
+});
+
+test('이름 변경 중 실패하면 카테고리는 저장하지 않고 다시 실행하면 이어서 처리', async () => {
+  addPortfolios('플랫폼', 3);
+  const category = loadCategory('플랫폼');
+  category.name = '웹 플랫폼';
+  failOn = 2;
+
+  await assert.rejects(saveCategory(category), /connection reset/);
+  assert.deepStrictEqual(categoryNames(), ['웹 플랫폼', '플랫폼', '플랫폼']);
+  assert.deepStrictEqual(category.saved, []);
+
+  const changes = await saveCategory(category);
+
+  assert.strictEqual(changes.length, 2);
+  assert.deepStrictEqual(categoryNames(), ['웹 플랫폼', '웹 플랫폼', '웹 플랫폼']);
+  assert.deepStrictEqual(records.map(record => record.version), [2, 2, 2]);
+  assert.strictEqual(revisions.length, 3);
+  assert.deepStrictEqual(category.saved, ['웹 플랫폼']);
+});
+
+test('사용 중인 이름으로 바꾸면 포트폴리오를 변경하지 않음', async () => {
+  addPortfolios('플랫폼', 2);
+  takenNames = ['데이터'];
+  const category = loadCategory('플랫폼');
+  category.name = '데이터';
+
+  await assert.rejects(saveCategory(category), error => error.name === 'ValidationError');
+
+  assert.deepStrictEqual(categoryNames(), ['플랫폼', '플랫폼']);
+  assert.strictEqual(updateCount, 0);
+  assert.deepStrictEqual(category.saved, []);
+});
+
+test('병합 중 실패하면 source는 남고 다시 실행하면 이어서 처리', async () => {
+  addPortfolios('벤치마크', 2);
+  addPortfolios('플랫폼', 1);
+  const source = loadCategory('벤치마크');
+  const target = loadCategory('플랫폼');
+  failOn = 2;
+
+  await assert.rejects(mergeCategories(source, target), /connection reset/);
+  assert.deepStrictEqual(categoryNames(), ['플랫폼', '벤치마크', '플랫폼']);
+  assert.strictEqual(source.deleted, 0);
+
+  const changes = await mergeCategories(source, target);
+
+  assert.strictEqual(changes.length, 1);
+  assert.deepStrictEqual(categoryNames(), ['플랫폼', '플랫폼', '플랫폼']);
+  assert.strictEqual(source.deleted, 1);
+  // 이전 이름 추가와 하위 카테고리 이동은 다시 실행해도 결과가 같은 변경
+  assert.deepStrictEqual(categoryUpdates.map(update => Object.keys(update)[0]), ['$addToSet', '$addToSet', '$set']);
+  assert.deepStrictEqual(categoryUpdates[0].$addToSet.previousNames, { $each: ['벤치마크'] });
+});
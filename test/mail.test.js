@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MAIL_RETRY_BASE_MS = '1000';
+process.env.MAIL_MAX_ATTEMPTS = '3';
+
+const { MailJob } = require('../models/MailJob');
+const transports = require('../services/mail/transports');
+
+// transport는 메일 모듈을 불러오기 전에 교체 (resetTransport 후 다시 생성)
+const createRealTransport = transports.createTransport;
+let transport = null;
+transports.createTransport = () => transport;
+const { enqueueMail, processQueue, resetTransport } = require('../services/mail');
+
+// DB 대신 메모리에 잡 저장
+let jobs = [];
+MailJob.create = async (data) => {
+  const job = new MailJob(data);
+  job.save = async () => job;
+  jobs.push(job);
+  return job;
+};
+MailJob.findOneAndUpdate = async (filter, update) => {
+  const now = Date.now();
+  const job = jobs.find(item => {
+    if (filter._id) return item._id.equals(filter._id) && item.status === filter.status;
+    return filter.status.$in.includes(item.status) && item.nextAttemptAt.getTime() <= filter.nextAttemptAt.$lte.getTime() && item.nextAttemptAt.getTime() <= now;
+  });
+  if (job) Object.assign(job, update.$set);
+  return job || null;
+};
+MailJob.updateMany = async () => ({ modifiedCount: 0 });
+
+const failingTransport = (error = new Error('connection refused')) => ({
+  sent: 0,
+  sendMail: async function() {
+    this.sent += 1;
+    throw error;
+  }
+});
+
+const useTransport = (value) => {
+  transport = value;
+  resetTransport();
+};
+
+const message = { to: 'client@example.com', subject: '문의 확인', text: '본문' };
+
+test.beforeEach(() => {
+  jobs = [];
+});
+
+test('발송에 성공하면 sent 상태', async () => {
+  useTransport({ sendMail: async () => ({ messageId: '<id@test>' }) });
+
+  const job = await enqueueMail(message);
+
+  assert.strictEqual(job.status, 'sent');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.messageId, '<id@test>');
+});
+
+test('실패하면 지수 백오프로 다음 발송 시각을 정한다', async () => {
+  useTransport(failingTransport());
+
+  const started = Date.now();
+  const job = await enqueueMail(message);
+  assert.strictEqual(job.status, 'retrying');
+  assert.strictEqual(job.attempts, 1);
+  const firstDelay = job.nextAttemptAt.getTime() - started;
+  assert.ok(firstDelay >= 1000 && firstDelay <= 1100 + 50, `첫 재시도 간격 ${firstDelay}ms`);
+
+  // 발송 시각이 된 것으로 처리
+  job.nextAttemptAt = new Date(0);
+  const retried = Date.now();
+  const results = await processQueue();
+  assert.deepStrictEqual(results, { sent: 0, retrying: 1, dead: 0, recovered: 0 });
+  assert.strictEqual(job.attempts, 2);
+  const secondDelay = job.nextAttemptAt.getTime() - retried;
+  assert.ok(secondDelay >= 2000 && secondDelay <= 2200 + 50, `두 번째 재시도 간격 ${secondDelay}ms`);
+  assert.strictEqual(job.failures.length, 2);
+});
+
+test('발송 시각이 되지 않은 잡은 처리하지 않는다', async () => {
+  useTransport(failingTransport());
+
+  await enqueueMail(message);
+  const results = await processQueue();
+
+  assert.strictEqual(results.retrying, 0);
+  assert.strictEqual(transport.sent, 1);
+});
+
+test('최대 시도 횟수를 넘으면 dead 상태', async () => {
+  useTransport(failingTransport());
+
+  const job = await enqueueMail(message);
+  for (let attempt = 1; attempt < 3; attempt++) {
+    job.nextAttemptAt = new Date(0);
+    await processQueue();
+  }
+
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(job.attempts, 3);
+  assert.strictEqual(job.lastError, 'connection refused');
+
+  // dead 잡은 다시 발송하지 않음
+  job.nextAttemptAt = new Date(0);
+  const results = await processQueue();
+  assert.strictEqual(results.dead, 0);
+  assert.strictEqual(transport.sent, 3);
+});
+
+test('수신 거부 같은 영구 오류는 바로 dead 상태', async () => {
+  const error = new Error('mailbox unavailable');
+  error.responseCode = 550;
+  useTransport(failingTransport(error));
+
+  const job = await enqueueMail(message);
+
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(job.attempts, 1);
+});
+
+test('file transport는 메일을 JSON 파일로 저장한다', async () => {
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-'));
+  process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+  try {
+    const info = await createRealTransport('file').sendMail(Object.assign({ from: 'no-reply@fornerds.com' }, message));
+
+    assert.strictEqual(path.dirname(info.path), outboxDir);
+    const saved = JSON.parse(fs.readFileSync(info.path, 'utf8'));
+    assert.strictEqual(saved.subject, '문의 확인');
+    assert.strictEqual(saved.text, '본문');
+    assert.deepStrictEqual(saved.to.map(to => to.address), ['client@example.com']);
+  } finally {
+    delete process.env.MAIL_OUTBOX_DIR;
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const { Portfolio } = require('../models/Portfolio');
+const { Category } = require('../models/Category');
+const portfolioRoutes = require('../routes/portfolio');
+
+// DB 대신 메모리의 포트폴리오로 조회
+const portfolio = new Portfolio({
+  title: 'LLM Bench',
+  slug: 'llm-bench',
+  previousSlugs: ['llm-benchmark'],
+  description: '언어 모델 성능 비교',
+  category: 'AI/ML',
+  status: 'published'
+});
+portfolio.save = async () => portfolio;
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '$and') return value.every(item => matches(doc, item));
+  if (key === '$or') return value.some(item => matches(doc, item));
+  const field = doc.get(key);
+  return Array.isArray(field) ? field.includes(value) : field === value;
+});
+
+const queries = [];
+mongoose.Query.prototype.exec = async function() {
+  assert.strictEqual(this.model, Portfolio);
+  assert.strictEqual(this.op, 'findOne');
+  queries.push({ filter: this.getFilter(), fields: this._fields });
+  return matches(portfolio, this.getFilter()) ? portfolio : null;
+};
+Portfolio.findById = async (id) => (portfolio._id.equals(id) ? portfolio : null);
+Category.findOrdered = async () => [];
+
+const app = express();
+app.use('/api/portfolio', portfolioRoutes);
+
+const request = async (path, options = {}) => {
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    return await fetch(`http://127.0.0.1:${port}${path}`, Object.assign({ redirect: 'manual' }, options));
+  } finally {
+    server.close();
+  }
+};
+
+test.beforeEach(() => {
+  queries.length = 0;
+});
+
+test('현재 슬러그로 포트폴리오를 조회', async () => {
+  const response = await request('/api/portfolio/llm-bench');
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.data.slug, 'llm-bench');
+  assert.strictEqual(body.data.title, 'LLM Bench');
+  // 슬러그 확인에는 slug만 조회
+  assert.deepStrictEqual(queries.map(query => query.fields), [{ slug: 1 }]);
+});
+
+test('이전 슬러그는 현재 슬러그 주소로 이동', async () => {
+  const response = await request('/api/portfolio/llm-benchmark?lang=en');
+
+  assert.strictEqual(response.status, 301);
+  assert.strictEqual(response.headers.get('location'), '/api/portfolio/llm-bench?lang=en');
+});
+
+test('GET 외 요청은 메서드가 유지되는 308로 이동', async () => {
+  const response = await request('/api/portfolio/llm-benchmark', { method: 'PUT' });
+
+  assert.strictEqual(response.status, 308);
+  assert.strictEqual(response.headers.get('location'), '/api/portfolio/llm-bench');
+});
+
+test('없는 슬러그는 404', async () => {
+  const response = await request('/api/portfolio/unknown-project');
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(body.success, false);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankDocuments, buildSuggestions, buildQueryTokens, buildSearchTokens } = require('../services/search');
+
+const chatbot = { title: 'AI 챗봇 구축', description: '고객 상담 챗봇을 개발했습니다.', tags: ['챗봇', 'LLM'] };
+const iot = { title: '스마트 팩토리 IoT', description: '공장 센서 데이터를 수집합니다.', tags: ['IoT'] };
+
+test('짧은 한국어 단어의 자모 하나 오타도 검색된다', () => {
+  const results = rankDocuments([chatbot, iot], '챈봇');
+
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].doc, chatbot);
+  assert.match(results[0].highlights.title, /<mark>챗봇<\/mark>/);
+});
+
+test('오타가 있는 검색어도 후보 토큰이 겹친다', () => {
+  const documentTokens = new Set(buildSearchTokens(chatbot));
+  assert.ok(buildQueryTokens('챈봇').some(token => documentTokens.has(token)));
+});
+
+test('자모 두 개 이상 다른 짧은 단어는 일치하지 않는다', () => {
+  assert.strictEqual(rankDocuments([chatbot], '천복').length, 0);
+});
+
+test('자동완성도 오타를 허용한다', () => {
+  const suggestions = buildSuggestions('챈봇', [{ id: '1', title: 'AI 챗봇 구축' }], [{ tag: '챗봇', count: 1 }]);
+  assert.deepStrictEqual(suggestions.map(suggestion => suggestion.value), ['AI 챗봇 구축', '챗봇']);
+});
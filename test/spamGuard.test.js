@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+process.env.CONTACT_MIN_FILL_MS = '3000';
+
+// DB 대신 메모리 기록 사용 (미들웨어를 불러오기 전에 교체)
+require('../config/database').connectDB = async () => {};
+const { Inquiry } = require('../models/Inquiry');
+const { RejectedSubmission } = require('../models/RejectedSubmission');
+const { Category, DEFAULT_CATEGORIES } = require('../models/Category');
+const { setCaptchaVerifier } = require('../services/captcha');
+const { guardContactForm, issueFormToken } = require('../middleware/spamGuard');
+
+let rejections = [];
+let usedTokens = new Set();
+let ipCount = 0;
+RejectedSubmission.create = async (data) => { rejections.push(data.reason); };
+Inquiry.exists = async (query) => (query.formTokenId !== undefined ? usedTokens.has(query.formTokenId) : null);
+Inquiry.countDocuments = async (query) => (query.ip ? ipCount : 0);
+let categories = DEFAULT_CATEGORIES;
+Category.findOrdered = () => ({
+  select: async () => {
+    if (!categories) throw new Error('connection refused');
+    return categories;
+  }
+});
+
+// issuedAt 시각에 발급된 토큰 (미들웨어와 같은 키로 서명)
+const tokenIssuedAt = (issuedAt) => {
+  const payload = `${issuedAt}.${crypto.randomBytes(8).toString('hex')}`;
+  return `${payload}.${crypto.createHmac('sha256', 'test-secret').update(payload).digest('base64url')}`;
+};
+
+const validBody = (overrides = {}) => Object.assign({
+  company: '포너즈',
+  name: '홍길동',
+  phone: '010-1234-5678',
+  email: 'client@example.com',
+  project_type: 'AI/ML 솔루션',
+  message: '사내 문서 검색 챗봇 개발을 문의드립니다.',
+  form_token: tokenIssuedAt(Date.now() - 10000)
+}, overrides);
+
+// 미들웨어 실행 - next가 호출되면 { next: true }, 아니면 응답 상태와 본문
+const run = (body) => new Promise((resolve, reject) => {
+  const req = { body, ip: '203.0.113.1', get: () => undefined };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { resolve({ status: this.statusCode, body: data }); }
+  };
+  guardContactForm(req, res, (error) => (error ? reject(error) : resolve({ next: true, req })));
+});
+
+test.beforeEach(() => {
+  rejections = [];
+  usedTokens = new Set();
+  ipCount = 0;
+  categories = DEFAULT_CATEGORIES;
+  setCaptchaVerifier({ enabled: false, verify: async () => ({ success: true }) });
+});
+
+test('검사를 모두 통과하면 다음 단계로 진행', async () => {
+  const result = await run(validBody());
+  assert.strictEqual(result.next, true);
+  assert.ok(result.req.formTokenId);
+  assert.deepStrictEqual(rejections, []);
+});
+
+test('허니팟에 값이 있으면 저장하지 않고 성공으로 응답', async () => {
+  const result = await run(validBody({ website: 'http://spam.example' }));
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.body.success, true);
+  assert.deepStrictEqual(rejections, ['honeypot']);
+});
+
+test('링크가 3개를 넘으면 거부', async () => {
+  const message = '문의드립니다 http://a.example http://b.example http://c.example http://d.example';
+  const result = await run(validBody({ message }));
+  assert.strictEqual(result.status, 400);
+  assert.match(result.body.details.join(), /링크/);
+  assert.deepStrictEqual(rejections, ['validation']);
+});
+
+test('카테고리에 지정된 프로젝트 유형과 기타만 허용', async () => {
+  categories = [{ name: '모바일', projectTypes: ['모바일 앱'] }];
+
+  assert.strictEqual((await run(validBody({ project_type: '모바일 앱' }))).next, true);
+  assert.strictEqual((await run(validBody({ project_type: '기타' }))).next, true);
+
+  const result = await run(validBody({ project_type: 'AI/ML 솔루션' }));
+  assert.strictEqual(result.status, 400);
+  assert.match(result.body.details.join(), /프로젝트 유형/);
+  assert.deepStrictEqual(rejections, ['validation']);
+});
+
+test('카테고리를 조회할 수 없으면 기본 카테고리의 프로젝트 유형으로 확인', async () => {
+  categories = null;
+
+  const result = await run(validBody());
+  assert.strictEqual(result.next, true);
+});
+
+test('만료된 폼 토큰은 거부', async () => {
+  const result = await run(validBody({ form_token: tokenIssuedAt(Date.now() - 3 * 60 * 60 * 1000) }));
+  assert.strictEqual(result.status, 400);
+  assert.deepStrictEqual(rejections, ['token']);
+});
+
+test('서명이 다른 폼 토큰은 거부', async () => {
+  const token = tokenIssuedAt(Date.now() - 10000).replace(/.$/, (char) => (char === 'A' ? 'B' : 'A'));
+  const result = await run(validBody({ form_token: token }));
+  assert.strictEqual(result.status, 400);
+  assert.deepStrictEqual(rejections, ['token']);
+});
+
+test('너무 빨리 제출하면 거부', async () => {
+  const result = await run(validBody({ form_token: issueFormToken() }));
+  assert.strictEqual(result.status, 400);
+  assert.deepStrictEqual(rejections, ['too_fast']);
+});
+
+test('이미 사용한 폼 토큰은 거부', async () => {
+  const body = validBody();
+  const first = await run(body);
+  usedTokens.add(first.req.formTokenId);
+
+  const result = await run(body);
+  assert.strictEqual(result.status, 400);
+  assert.deepStrictEqual(rejections, ['token_reused']);
+});
+
+test('같은 IP의 제출 한도를 넘으면 429', async () => {
+  ipCount = 5;
+  const result = await run(validBody());
+  assert.strictEqual(result.status, 429);
+  assert.deepStrictEqual(rejections, ['ip_throttle']);
+});
+
+test('캡차 확인에 실패하면 거부', async () => {
+  process.env.CAPTCHA_FAKE_TOKEN = 'pass';
+  setCaptchaVerifier(null);
+  process.env.CAPTCHA_PROVIDER = 'fake';
+  try {
+    const failed = await run(validBody({ 'cf-turnstile-response': 'wrong' }));
+    assert.strictEqual(failed.status, 400);
+    const missing = await run(validBody());
+    assert.strictEqual(missing.status, 400);
+    assert.deepStrictEqual(rejections, ['captcha', 'captcha']);
+
+    const passed = await run(validBody({ 'cf-turnstile-response': 'pass' }));
+    assert.strictEqual(passed.next, true);
+  } finally {
+    delete process.env.CAPTCHA_PROVIDER;
+  }
+});
+
+test('캡차 서비스에 연결할 수 없으면 503', async () => {
+  setCaptchaVerifier({ enabled: true, verify: async () => { throw new Error('fetch failed'); } });
+
+  const result = await run(validBody({ 'cf-turnstile-response': 'token' }));
+  assert.strictEqual(result.status, 503);
+  assert.strictEqual(result.body.success, false);
+  assert.deepStrictEqual(rejections, []);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+process.env.UPLOAD_DIR = uploadDir;
+process.env.S3_BUCKET = 'portfolio-test';
+process.env.IMAGE_WIDTHS = '320';
+
+const { S3Client } = require('@aws-sdk/client-s3');
+const { UploadedFile } = require('../models/UploadedFile');
+const { createStorage, isNotFoundError } = require('../services/storage');
+const { saveImage, readFile, deleteFile } = require('../middleware/upload');
+
+// S3 요청은 메모리의 객체 목록으로 처리
+const objects = new Map();
+const missing = () => Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+const toBody = (buffer) => Object.assign(Readable.from([buffer]), {
+  transformToString: async () => buffer.toString('utf8')
+});
+
+S3Client.prototype.send = async function(command) {
+  const input = command.input;
+  switch (command.constructor.name) {
+    case 'PutObjectCommand':
+      objects.set(input.Key, Buffer.from(input.Body));
+      return {};
+    case 'GetObjectCommand': {
+      const buffer = objects.get(input.Key);
+      if (!buffer) throw missing();
+      const range = input.Range && input.Range.match(/^bytes=(\d+)-(\d+)$/);
+      return { Body: toBody(range ? buffer.subarray(Number(range[1]), Number(range[2]) + 1) : buffer) };
+    }
+    case 'DeleteObjectsCommand':
+      input.Delete.Objects.forEach(object => objects.delete(object.Key));
+      return {};
+    case 'ListObjectsV2Command':
+      return {
+        Contents: Array.from(objects.keys()).filter(key => key.startsWith(input.Prefix)).map(Key => ({ Key })),
+        IsTruncated: false
+      };
+    default:
+      throw new Error(`지원하지 않는 명령: ${command.constructor.name}`);
+  }
+};
+
+// 업로드 해시 기록은 사용하지 않음 (중복 파일 없음)
+UploadedFile.find = () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) });
+UploadedFile.create = async (data) => data;
+UploadedFile.deleteOne = async () => ({ deletedCount: 1 });
+
+const FILE_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const listAll = async (storage) => {
+  const ids = [];
+  for await (const id of storage.list()) ids.push(id);
+  return ids.sort();
+};
+
+test.beforeEach(() => {
+  objects.clear();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test.after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+for (const driver of ['fs', 's3']) {
+  test(`${driver}: 저장한 파일을 조회, 읽기, 삭제`, async () => {
+    const storage = createStorage(driver);
+    const buffer = Buffer.from('0123456789');
+
+    const id = await storage.save(FILE_ID, buffer, {
+      filename: 'logo.png',
+      contentType: 'image/png',
+      metadata: { originalName: 'logo.png' }
+    });
+    assert.strictEqual(id, FILE_ID);
+
+    const info = await storage.stat(FILE_ID);
+    assert.strictEqual(info.id, FILE_ID);
+    assert.strictEqual(info.filename, 'logo.png');
+    assert.strictEqual(info.length, 10);
+    assert.strictEqual(info.contentType, 'image/png');
+    assert.ok(info.uploadDate instanceof Date);
+    assert.deepStrictEqual(info.metadata, { originalName: 'logo.png' });
+
+    assert.deepStrictEqual(await readAll(await storage.openReadStream(FILE_ID)), buffer);
+    // range의 end는 포함
+    assert.strictEqual((await readAll(await storage.openReadStream(FILE_ID, { start: 2, end: 5 }))).toString(), '2345');
+    assert.deepStrictEqual(await listAll(storage), [FILE_ID]);
+
+    assert.strictEqual(await storage.delete(FILE_ID), true);
+    assert.strictEqual(await storage.stat(FILE_ID), null);
+    assert.strictEqual(await storage.delete(FILE_ID), false);
+    assert.deepStrictEqual(await listAll(storage), []);
+    await assert.rejects(storage.openReadStream(FILE_ID), isNotFoundError);
+  });
+
+  test(`${driver}: ObjectId 형식이 아닌 파일 ID는 거부`, async () => {
+    const storage = createStorage(driver);
+
+    await assert.rejects(storage.stat('../secret'), /잘못된 파일 ID/);
+  });
+
+  test(`${driver}: 이미지 변환본을 함께 저장하고 함께 삭제`, async () => {
+    process.env.STORAGE_DRIVER = driver;
+    const storage = createStorage(driver);
+    const image = await sharp({
+      create: { width: 400, height: 300, channels: 3, background: '#3366ff' }
+    }).png().toBuffer();
+
+    try {
+      const fileId = String(await saveImage(image, 'cover.png'));
+
+      const info = await storage.stat(fileId);
+      const variants = info.metadata.variants;
+      // 320px, 400px(원본 크기) x AVIF, WebP, PNG
+      assert.strictEqual(variants.length, 6);
+      assert.strictEqual(variants.filter(variant => variant.original).length, 1);
+      assert.deepStrictEqual(await listAll(storage), variants.map(variant => String(variant.fileId)).sort());
+
+      for (const variant of variants.filter(item => !item.original)) {
+        const variantInfo = await storage.stat(String(variant.fileId));
+        assert.strictEqual(variantInfo.metadata.variantOf, fileId);
+        assert.strictEqual(variantInfo.length, variant.size);
+        const metadata = await sharp(await readFile(variant.fileId)).metadata();
+        assert.strictEqual(metadata.width, variant.width);
+      }
+
+      assert.strictEqual(await deleteFile(fileId), true);
+      assert.deepStrictEqual(await listAll(storage), []);
+    } finally {
+      delete process.env.STORAGE_DRIVER;
+    }
+  });
+}